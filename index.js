@@ -1,6 +1,7 @@
 'use strict';
 const EventEmitter = require('events').EventEmitter;
 const fs = require('fs');
+const crypto = require('crypto');
 const sysPath = require('path');
 const asyncEach = require('async-each');
 const anymatch = require('anymatch');
@@ -9,6 +10,8 @@ const isGlob = require('is-glob');
 const braces = require('braces');
 const normalizePath = require('normalize-path');
 const upath = require('upath');
+const isBinaryPath = require('is-binary-path');
+const ignore = require('ignore');
 
 const NodeFsHandler = require('./lib/nodefs-handler');
 const FsEventsHandler = require('./lib/fsevents-handler');
@@ -26,6 +29,218 @@ const flatten = (list, result = []) => {
   return result;
 };
 
+// Net effect of two consecutive events for the same path;
+// `null` means the events cancel each other out
+const coalescedEvents = {
+  'add change': 'add',
+  'add unlink': null,
+  'change change': 'change',
+  'change unlink': 'unlink',
+  'unlink add': 'change',
+  'addDir unlinkDir': null,
+  'unlinkDir addDir': null,
+  'add attrib': 'add',
+  'addDir attrib': 'addDir',
+  'change attrib': 'change',
+  'attrib change': 'change',
+  'attrib attrib': 'attrib',
+  'attrib unlink': 'unlink',
+  'attrib unlinkDir': 'unlinkDir'
+};
+
+/**
+ * Converts the arguments of an emitted event to the object form used by
+ * `batch` events and async iterators.
+ * @param {Array} args event name, path and any values passed with the event
+ * @returns {Object} {event, path, stats}, plus `oldPath` for renames,
+ *   `oldTarget` and `target` for symlink changes, `data` for appends and
+ *   `details` when the event carries them
+ */
+const toEventObject = (args) => {
+  const event = args[0];
+  if (event === 'rename' || event === 'renameDir') {
+    return {event: event, path: args[2], oldPath: args[1], stats: args[3]};
+  }
+  if (event === 'symlinkChange') {
+    return {event: event, path: args[1], oldTarget: args[2], target: args[3]};
+  }
+  if (event === 'append') {
+    return {event: event, path: args[1], data: args[2], stats: args[3]};
+  }
+  const item = {event: event, path: args[1], stats: args[2]};
+  if (args[3] !== undefined) item.details = args[3];
+  return item;
+};
+
+/**
+ * Reduces two queued events for the same path to a single one.
+ * @param {Object} prev earlier event ({event, path, stats})
+ * @param {Object} next later event
+ * @returns {Object|null|undefined} merged event, null if both cancel out,
+ *   undefined if they can't be merged
+ */
+const coalesce = (prev, next) => {
+  const key = prev.event + ' ' + next.event;
+  if (!(key in coalescedEvents)) return;
+  const event = coalescedEvents[key];
+  if (event === null) return null;
+  const item = {event: event, path: next.path, stats: next.stats || prev.stats};
+  const details = next.details || prev.details;
+  if (details) item.details = details;
+  return item;
+};
+
+/**
+ * Converts an event object back to the arguments it is emitted with.
+ * @param {Object} item event object as returned by `toEventObject`
+ * @returns {Array} event name, path and any values passed with the event
+ */
+const toEventArgs = (item) => {
+  if (item.event === 'rename' || item.event === 'renameDir') {
+    return [item.event, item.oldPath, item.path, item.stats];
+  }
+  if (item.event === 'symlinkChange') {
+    return [item.event, item.path, item.oldTarget, item.target];
+  }
+  if (item.event === 'append') return [item.event, item.path, item.data, item.stats];
+  const args = [item.event, item.path];
+  if (item.details !== undefined) args.push(item.stats, item.details);
+  else if (item.stats !== undefined) args.push(item.stats);
+  return args;
+};
+
+/**
+ * Appends an event to a queue, reducing it with the queue's latest event
+ * for the same path when possible.
+ * @param {Object} queue {changes, latest}: the queued events in order and
+ *   the latest one for each path
+ * @param {Object} item event to queue ({event, path, stats})
+ */
+const enqueue = (queue, item) => {
+  const prev = queue.latest[item.path];
+  const merged = prev ? coalesce(prev, item) : undefined;
+  if (merged === undefined) {
+    queue.changes.push(item);
+    queue.latest[item.path] = item;
+  } else if (merged === null) {
+    queue.changes.splice(queue.changes.indexOf(prev), 1);
+    delete queue.latest[item.path];
+  } else {
+    queue.changes[queue.changes.indexOf(prev)] = merged;
+    queue.latest[item.path] = merged;
+  }
+};
+
+const overflowPolicies = ['drop-oldest', 'coalesce', 'marker'];
+
+// maximum number of files hashed at once for `compareContents`
+const HASH_CONCURRENCY = 16;
+
+// Watch implementations the `backend` option can name. The built-in ones
+// hand their roots to the implementation the watcher picks for them, which
+// custom backends can fall back to as well.
+const watchBuiltin = (path, context) => context.builtin();
+const backends = Object.create(null);
+backends.nodefs = {
+  name: 'nodefs',
+  capabilities: {atomic: true, polling: false},
+  canUse: () => true,
+  watch: watchBuiltin
+};
+backends.polling = {
+  name: 'polling',
+  capabilities: {atomic: false, polling: true},
+  canUse: () => true,
+  watch: watchBuiltin
+};
+backends.fsevents = {
+  name: 'fsevents',
+  capabilities: {atomic: false, polling: false},
+  canUse: FsEventsHandler.canUse,
+  watch: watchBuiltin
+};
+const builtinBackends = Object.keys(backends).map(function(name) {
+  return backends[name];
+});
+
+// Options that can be set for individual paths with `add(paths, options)`
+const rootOptionKeys = [
+  'depth', 'ignored', 'followSymlinks', 'awaitWriteFinish',
+  'usePolling', 'interval', 'binaryInterval', 'minInterval', 'maxInterval'
+];
+
+/**
+ * Resolves `ignored` entries against `cwd` and makes plain paths also match
+ * everything below them.
+ * @param {Array} ignored anymatch-compatible definitions
+ * @param {String=} cwd base directory of relative paths
+ * @returns {Array} definitions to pass to anymatch
+ */
+const normalizeIgnored = (ignored, cwd) => {
+  if (cwd) {
+    ignored = ignored.map(function (path) {
+      if (typeof path !== 'string') return path;
+      return upath.normalize(sysPath.isAbsolute(path) ? path : sysPath.join(cwd, path));
+    });
+  }
+  const paths = ignored
+    .filter(function(path) {
+      return typeof path === 'string' && !isGlob(path);
+    }).map(function(path) {
+      return path + '/**';
+    });
+  return ignored.concat(paths);
+};
+
+/**
+ * Tells whether a glob could match paths below a directory, comparing them
+ * segment by segment.
+ * @param {String} pattern glob pattern
+ * @param {String} dir directory path
+ * @returns {Boolean}
+ */
+const couldMatchBelow = (pattern, dir) => {
+  const dirParts = upath.toUnix(dir).split('/');
+  return braces.expand(pattern).some(function(expanded) {
+    const parts = expanded.split('/');
+    for (let i = 0; i < dirParts.length; i++) {
+      if (parts[i] === '**') return true;
+      // the pattern ends at the level of the directory or above it
+      if (i >= parts.length - 1 || !anymatch(parts[i], dirParts[i])) return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Builds the result of `FSWatcher#explainIgnored`.
+ * @param {String=} reason why the path is ignored, if it is
+ * @param {*=} rule the rule causing it
+ * @returns {Object} {ignored, reason, rule}
+ */
+const explanation = (reason, rule) => ({
+  ignored: !!reason,
+  reason: reason || null,
+  rule: rule === undefined ? null : rule
+});
+
+/**
+ * Reads a snapshot file written by `FSWatcher#snapshot`.
+ * @param {String} file path of the snapshot file
+ * @param {Object} fs file system to read it from
+ * @returns {Object|undefined} the snapshot, undefined if the file doesn't exist
+ */
+const readSnapshot = (file, fs) => {
+  let json;
+  try {
+    json = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  return JSON.parse(json);
+};
+
 const dotRe = /\..*\.(sw[px])$|\~$|\.subl.*\.tmp/;
 const replacerRe = /^\.[\/\\]/;
 
@@ -35,7 +250,8 @@ const replacerRe = /^\.[\/\\]/;
 // * _opts - object, chokidar options hash
 //
 // Emitted events:
-// `add`, `addDir`, `change`, `unlink`, `unlinkDir`, `all`, `error`
+// `add`, `addDir`, `change`, `unlink`, `unlinkDir`, `rename`, `renameDir`,
+// `append`, `truncate`, `rotate`, `all`, `batch`, `error`
 //
 // Examples
 //
@@ -55,10 +271,19 @@ constructor(_opts) {
   if (_opts) for (const opt in _opts) opts[opt] = _opts[opt];
   this._watched = Object.create(null);
   this._closers = Object.create(null);
+  this._handles = Object.create(null);
   this._ignoredPaths = Object.create(null);
+  this._addedPaths = Object.create(null);
+  this._realRoots = Object.create(null);
   this.closed = false;
   this._throttled = Object.create(null);
   this._symlinkPaths = Object.create(null);
+  this._symlinkTargets = Object.create(null);
+  this._symlinkLoops = Object.create(null);
+  this._streams = new Set();
+  this._recursiveWatchers = Object.create(null);
+  this._recursiveListeners = Object.create(null);
+  this._eventIterators = new Set();
 
   function undef(key) {
     return opts[key] === undefined;
@@ -72,12 +297,14 @@ constructor(_opts) {
   if (undef('binaryInterval')) opts.binaryInterval = 300;
   if (undef('disableGlobbing')) opts.disableGlobbing = false;
   this.enableBinaryInterval = opts.binaryInterval !== opts.interval;
+  if (undef('fs')) opts.fs = fs;
 
   // Enable fsevents on OS X when polling isn't explicitly enabled.
   if (undef('useFsEvents')) opts.useFsEvents = !opts.usePolling;
 
   // If we can't use fsevents, ensure the options reflect it's disabled.
-  if (!FsEventsHandler.canUse()) opts.useFsEvents = false;
+  // It only sees the real file system, not one passed as `fs`.
+  if (!FsEventsHandler.canUse() || opts.fs !== fs) opts.useFsEvents = false;
 
   // Use polling on Mac if not using fsevents.
   // Other platforms use non-polling fs_watch.
@@ -95,6 +322,8 @@ constructor(_opts) {
       opts.usePolling = false;
     } else if (envLower === 'true' || envLower === '1') {
       opts.usePolling = true;
+    } else if (envLower === 'scan') {
+      opts.usePolling = 'scan';
     } else {
       opts.usePolling = !!envLower;
     }
@@ -104,11 +333,52 @@ constructor(_opts) {
     opts.interval = parseInt(envInterval);
   }
 
+  // An explicitly chosen watch implementation has the final say
+  if (opts.backend) {
+    const backend = typeof opts.backend === 'string' ? backends[opts.backend] : opts.backend;
+    if (!backend) throw new TypeError('Unknown backend: ' + opts.backend);
+    const builtin = builtinBackends.indexOf(backend) !== -1;
+    if (typeof backend.watch !== 'function') {
+      throw new TypeError('A backend must implement `watch(path, context)`');
+    }
+    if (backend.canUse && !backend.canUse() || backend === backends.fsevents && opts.fs !== fs) {
+      throw new Error('The ' + (backend.name || opts.backend) + ' backend cannot be used here');
+    }
+    const capabilities = backend.capabilities || {};
+    opts.backend = backend;
+    opts.usePolling = !!capabilities.polling;
+    opts.useFsEvents = backend === backends.fsevents;
+    if (undef('atomic')) opts.atomic = !!capabilities.atomic;
+    if (!builtin) this._backend = backend;
+  }
+
   // Editor atomic write normalization enabled by default with fs.watch
   if (undef('atomic')) opts.atomic = !opts.usePolling && !opts.useFsEvents;
   if (opts.atomic) this._pendingUnlinks = Object.create(null);
 
+  if (opts.detectRenames) {
+    this._lastStats = Object.create(null);
+    this._pendingRenames = Object.create(null);
+    this._pendingRenamePaths = Object.create(null);
+    this._renamedDirs = [];
+  }
+
+  if (opts.since) {
+    const snapshot = typeof opts.since === 'string' ?
+      readSnapshot(opts.since, opts.fs) : opts.since;
+    // entries are removed as they are found again by the initial scan
+    if (snapshot) {
+      this._since = Object.assign(Object.create(null), snapshot.entries);
+      opts.ignoreInitial = false;
+    }
+  }
+
   if (undef('followSymlinks')) opts.followSymlinks = true;
+  if (opts.allowedRoots) {
+    opts.allowedRoots = arrify(opts.allowedRoots).map(function(root) {
+      return sysPath.resolve(opts.cwd || '', root);
+    });
+  }
 
   if (undef('awaitWriteFinish')) opts.awaitWriteFinish = false;
   if (opts.awaitWriteFinish === true) opts.awaitWriteFinish = {};
@@ -120,6 +390,47 @@ constructor(_opts) {
     this._pendingWrites = Object.create(null);
   }
   if (opts.ignored) opts.ignored = arrify(opts.ignored);
+  // may be replaced with setIgnored()
+  this._ignoredRules = opts.ignored || [];
+  // directory readers, to find entries that are no longer ignored
+  this._rescanners = Object.create(null);
+
+  if (opts.ignoreFiles) {
+    opts.ignoreFiles = arrify(opts.ignoreFiles);
+    this._ignoreFileRules = Object.create(null);
+  }
+
+  if (opts.compareContents) {
+    let compare = opts.compareContents;
+    if (typeof compare !== 'object') compare = {algorithm: compare};
+    opts.compareContents = {
+      algorithm: compare.algorithm === undefined || compare.algorithm === true ?
+        'sha1' : compare.algorithm,
+      maxSize: compare.maxSize === undefined ? 16 * 1024 * 1024 : compare.maxSize
+    };
+    this._digests = Object.create(null);
+    this._hashQueue = [];
+    this._hashing = 0;
+  }
+
+  if (opts.tail) {
+    this._tails = Object.create(null);
+    if (opts.tail !== true) {
+      const cwd = opts.cwd;
+      this._tailMatcher = anymatch(arrify(opts.tail).map(function(path) {
+        if (!cwd || typeof path !== 'string') return path;
+        return upath.normalize(sysPath.isAbsolute(path) ? path : sysPath.join(cwd, path));
+      }));
+    }
+  }
+
+  if (opts.batch) {
+    const batch = opts.batch === true ? {} : opts.batch;
+    opts.batch = {
+      wait: batch.wait === undefined ? 200 : batch.wait,
+      maxWait: batch.maxWait === undefined ? 2000 : batch.maxWait
+    };
+  }
 
   this._isntIgnored = function(path, stat) {
     return !this._isIgnored(path, stat);
@@ -131,7 +442,12 @@ constructor(_opts) {
       this._emitReady = Function.prototype;
       this._readyEmitted = true;
       // use process.nextTick to allow time for listener to be bound
-      process.nextTick(this.emit.bind(this, 'ready'));
+      process.nextTick(function() {
+        if (this._since) this._emitVanished();
+        // the initial entries come first
+        if (this.options.batch) this._flushBatch();
+        this.emit('ready');
+      }.bind(this));
     }
   }.bind(this);
 
@@ -158,14 +474,30 @@ _globIgnored() {
  * @returns the error if defined, otherwise the value of the FSWatcher instance's `closed` flag 
  */
 _emit(event, path, val1, val2, val3) {
+  if (this.closed) return this;
+  // ignore files take effect even when their own events are not emitted
+  if (this._ignoreFileRules && this._readyEmitted &&
+    (event === 'add' || event === 'change' || event === 'unlink') &&
+    this.options.ignoreFiles.indexOf(sysPath.basename(path)) !== -1
+  ) this._reloadIgnoreFile(path);
+  if (this._suppressed && this._isSuppressed(event, path)) return this;
+  if (this._since) {
+    event = this._diffSnapshot(event, path, val1);
+    if (!event) return this;
+  }
+  if (
+    this.options.detectRenames && !this._flushingRename &&
+    this._detectRename(event, path, val1)
+  ) return this;
+  const awf = this._optionsFor(path).awaitWriteFinish;
   if (this.options.cwd) path = sysPath.relative(this.options.cwd, path);
   const args = [event, path];
   if (val3 !== undefined) args.push(val1, val2, val3);
   else if (val2 !== undefined) args.push(val1, val2);
   else if (val1 !== undefined) args.push(val1);
 
-  const awf = this.options.awaitWriteFinish;
   if (awf && this._pendingWrites[path]) {
+    if (this._tails && event === 'change') this._tail(path, val1);
     this._pendingWrites[path].lastChange = new Date();
     return this;
   }
@@ -173,15 +505,17 @@ _emit(event, path, val1, val2, val3) {
   if (this.options.atomic) {
     if (event === 'unlink') {
       this._pendingUnlinks[path] = args;
-      setTimeout(function() {
-        Object.keys(this._pendingUnlinks).forEach(function(path) {
-          this.emit.apply(this, this._pendingUnlinks[path]);
-          this.emit.apply(this, ['all'].concat(this._pendingUnlinks[path]));
-          delete this._pendingUnlinks[path];
-        }.bind(this));
-      }.bind(this), typeof this.options.atomic === "number"
-        ? this.options.atomic
-        : 100);
+      if (!this._pendingUnlinkTimer) {
+        this._pendingUnlinkTimer = setTimeout(function() {
+          this._pendingUnlinkTimer = null;
+          Object.keys(this._pendingUnlinks).forEach(function(path) {
+            this._dispatch(this._pendingUnlinks[path]);
+            delete this._pendingUnlinks[path];
+          }.bind(this));
+        }.bind(this), typeof this.options.atomic === "number"
+          ? this.options.atomic
+          : 100);
+      }
       return this;
     } else if (event === 'add' && this._pendingUnlinks[path]) {
       event = args[0] = 'change';
@@ -189,9 +523,22 @@ _emit(event, path, val1, val2, val3) {
     }
   }
 
+  // ahead of the throttling below, which would skip appended bytes
+  if (this._tails && (event === 'add' || event === 'change')) {
+    this._tail(path, val1);
+  }
+
   const emitEvent = function() {
-    this.emit.apply(this, args);
-    if (event !== 'error') this.emit.apply(this, ['all'].concat(args));
+    if (this._digests && (event === 'add' || event === 'change')) {
+      // entries of the initial scan are reported before `ready`
+      if (this._readyEmitted) return this._dispatchIfChanged(args);
+      this._readyCount++;
+      this._dispatchIfChanged(args, function() {
+        this._emitReady();
+      }.bind(this));
+    } else {
+      this._dispatch(args);
+    }
   }.bind(this);
 
   if (awf && (event === 'add' || event === 'change') && this._readyEmitted) {
@@ -224,7 +571,7 @@ _emit(event, path, val1, val2, val3) {
     (event === 'add' || event === 'addDir' || event === 'change')
   ) {
     const fullPath = this.options.cwd ? sysPath.join(this.options.cwd, path) : path;
-    fs.stat(fullPath, function(error, stats) {
+    this.options.fs.stat(fullPath, function(error, stats) {
       // Suppress event when fs_stat fails, to avoid sending undefined 'stat'
       if (error || !stats) return;
 
@@ -238,6 +585,426 @@ _emit(event, path, val1, val2, val3) {
   return this;
 }
 
+/**
+ * Checks whether an event was caused by the process itself, as announced
+ * with `suppress()` or `ignoreNextChange()`.
+ * @param {String} event Type of event
+ * @param {String} path File or directory path
+ * @returns {Boolean} true if the event must not be emitted
+ */
+_isSuppressed(event, path) {
+  const fullPath = sysPath.resolve(path);
+  const settling = this._throttled.suppress;
+  let suppressed = false;
+  if ((event === 'add' || event === 'change') && this._ignoreNext[fullPath]) {
+    delete this._ignoreNext[fullPath];
+    suppressed = true;
+  }
+  for (let dir = fullPath; !suppressed; dir = sysPath.dirname(dir)) {
+    suppressed = dir in this._suppressed || !!settling && dir in settling;
+    if (dir === sysPath.dirname(dir)) break;
+  }
+
+  // the same write often triggers more than one change
+  if (suppressed && event === 'change') {
+    const cwd = this.options.cwd;
+    this._throttle('change', cwd ? sysPath.relative(cwd, path) : path, 50);
+  }
+  return suppressed;
+}
+
+/**
+ * Compares an entry found by the initial scan with the `since` snapshot.
+ * @param {String} event Type of event
+ * @param {String} path File or directory path
+ * @param {fs.Stats=} stats stats passed with the event
+ * @returns {String|undefined} event to emit instead, undefined if the entry
+ *   didn't change
+ */
+_diffSnapshot(event, path, stats) {
+  if (event !== 'add' && event !== 'addDir') return event;
+  const fullPath = sysPath.resolve(path);
+  const entry = this._since[fullPath];
+  if (!entry) return event;
+  delete this._since[fullPath];
+
+  if (event === 'addDir') return entry.type === 'dir' ? undefined : event;
+  if (entry.type !== 'file' || !stats) return event;
+  if (
+    entry.ino === stats.ino && entry.size === stats.size &&
+    entry.mtime === stats.mtime.getTime()
+  ) return;
+  return 'change';
+}
+
+/**
+ * Emits `unlink`/`unlinkDir` for snapshot entries the initial scan didn't
+ * find in their (scanned and not ignored) parent directory, along with the
+ * entries of directories that vanished as a whole, contents first.
+ */
+_emitVanished() {
+  const entries = this._since;
+  const vanishedDirs = Object.create(null);
+  const vanished = [];
+  this._since = undefined;
+  Object.keys(entries).sort().forEach(function(path) {
+    const parent = sysPath.dirname(path);
+    if (!this._watched[parent] && !vanishedDirs[parent]) return;
+    if (this._isIgnored(path)) return;
+    if (entries[path].type === 'dir') vanishedDirs[path] = true;
+    vanished.push(path);
+  }, this);
+  vanished.reverse().forEach(function(path) {
+    const event = vanishedDirs[path] ? 'unlinkDir' : 'unlink';
+    const cwd = this.options.cwd;
+    this._dispatch([event, cwd ? sysPath.relative(cwd, path) : path]);
+  }, this);
+}
+
+/**
+ * Holds back removals of entries with known stats, and turns them into
+ * `rename`/`renameDir` events when an entry with the same inode shows up
+ * within the `detectRenames` window.
+ * @param {String} event Type of event
+ * @param {String} path File or directory path
+ * @param {fs.Stats=} stats stats passed with the event
+ * @returns {Boolean} true if the event has been consumed
+ */
+_detectRename(event, path, stats) {
+  const fullPath = sysPath.resolve(path);
+  const isDir = event === 'unlinkDir' || event === 'addDir';
+
+  if (event === 'unlink' || event === 'unlinkDir') {
+    const lastStats = this._lastStats[fullPath];
+    if (!lastStats) return false;
+    delete this._lastStats[fullPath];
+
+    const key = lastStats.dev + ':' + lastStats.ino;
+    const window = typeof this.options.detectRenames === 'number' ?
+      this.options.detectRenames : 100;
+    this._pendingRenames[key] = {
+      path: path,
+      fullPath: fullPath,
+      isDir: isDir,
+      timeout: setTimeout(this._flushRename.bind(this, key), window)
+    };
+    this._pendingRenamePaths[fullPath] = key;
+    return true;
+  }
+
+  if ((event !== 'add' && event !== 'addDir') || !stats) return false;
+
+  // an entry that comes back at the same path wasn't moved;
+  // let the removal through first so atomic writes are handled as usual
+  if (fullPath in this._pendingRenamePaths) {
+    this._flushRename(this._pendingRenamePaths[fullPath]);
+  }
+  this._lastStats[fullPath] = stats;
+
+  const key = stats.dev + ':' + stats.ino;
+  const pending = this._pendingRenames[key];
+  if (!pending || pending.isDir !== isDir) return false;
+  clearTimeout(pending.timeout);
+  delete this._pendingRenames[key];
+  delete this._pendingRenamePaths[pending.fullPath];
+
+  // children of a renamed directory are covered by its `renameDir` event
+  const implied = this._renamedDirs.some(function(dir) {
+    return !pending.fullPath.indexOf(dir.from + sysPath.sep) &&
+      fullPath === dir.to + pending.fullPath.slice(dir.from.length);
+  });
+  if (implied) return true;
+
+  if (isDir) {
+    const renamed = {from: pending.fullPath, to: fullPath};
+    this._renamedDirs.push(renamed);
+    renamed.timeout = setTimeout(function() {
+      this._renamedDirs.splice(this._renamedDirs.indexOf(renamed), 1);
+    }.bind(this), 1000);
+  }
+
+  let oldPath = pending.path;
+  let newPath = path;
+  if (this.options.cwd) {
+    oldPath = sysPath.relative(this.options.cwd, oldPath);
+    newPath = sysPath.relative(this.options.cwd, newPath);
+  }
+  this._dispatch([isDir ? 'renameDir' : 'rename', oldPath, newPath, stats]);
+  return true;
+}
+
+/**
+ * Emits a held back removal that didn't turn out to be a rename.
+ * @param {String} key device and inode of the removed entry
+ */
+_flushRename(key) {
+  const pending = this._pendingRenames[key];
+  if (!pending) return;
+  clearTimeout(pending.timeout);
+  delete this._pendingRenames[key];
+  delete this._pendingRenamePaths[pending.fullPath];
+  this._flushingRename = true;
+  this._emit(pending.isDir ? 'unlinkDir' : 'unlink', pending.path);
+  this._flushingRename = false;
+}
+
+/**
+ * Remembers the stats of an entry for rename detection.
+ * @param {String} path file or directory path
+ * @param {fs.Stats} stats result of fs.stat
+ */
+_setStats(path, stats) {
+  if (this._lastStats && stats) this._lastStats[sysPath.resolve(path)] = stats;
+}
+
+/**
+ * Emits a normalized event along with `all`, or queues it when batching.
+ * @param {Array} args event name, path and any values passed with the event
+ */
+_dispatch(args) {
+  // async steps (stat, awaitWriteFinish) may complete after close()
+  if (this.closed) return;
+  const event = args[0];
+  if (this._paused && event !== 'error') {
+    enqueue(this._paused, toEventObject(args));
+    return;
+  }
+  if (this.options.batch && event !== 'error') {
+    this._addToBatch(toEventObject(args));
+    return;
+  }
+  this.emit.apply(this, args);
+  if (event !== 'error') this.emit.apply(this, ['all'].concat(args));
+}
+
+/**
+ * Dispatches an `add` or `change` event once the digest of the file is
+ * known, dropping changes that left the contents as they were. Events of
+ * files that can't be hashed are dispatched without a digest.
+ * @param {Array} args event name, path and optionally stats
+ * @param {Function=} callback called once the event was handled
+ */
+_dispatchIfChanged(args, callback) {
+  const path = args[1];
+  const fullPath = this.options.cwd ? sysPath.join(this.options.cwd, path) : path;
+  const done = callback || Function.prototype;
+  const compare = function(stats) {
+    this._hashFile(fullPath, stats, function(error, digest, changed) {
+      if (error) {
+        // a missing file will be reported by its unlink event
+        this._handleError(error);
+      } else if (args[0] === 'change' && !changed) {
+        return done();
+      } else {
+        args[2] = stats;
+        args[3] = Object.assign({}, args[3], {digest: digest});
+      }
+      this._dispatch(args);
+      done();
+    }.bind(this));
+  }.bind(this);
+
+  if (args[2]) return compare(args[2]);
+  this.options.fs.stat(fullPath, function(error, stats) {
+    if (error || !stats) return done();
+    compare(stats);
+  });
+}
+
+/**
+ * Computes the digest of a file as configured by the `compareContents`
+ * option, streaming the contents, and remembers it for the next comparison.
+ * @param {String} path file path
+ * @param {fs.Stats} stats current stats of the file
+ * @param {Function} callback called with (error, digest, changed); the digest
+ *   is undefined for files larger than `maxSize`, which always count as changed
+ */
+_hashFile(path, stats, callback) {
+  // limit the files open at once, queueing the others
+  if (this._hashing >= HASH_CONCURRENCY) {
+    this._hashQueue.push([path, stats, callback]);
+    return;
+  }
+  this._hashing++;
+  const opts = this.options.compareContents;
+  const fullPath = sysPath.resolve(path);
+  const done = function(error, digest) {
+    this._hashing--;
+    const next = this._hashQueue.shift();
+    if (next) this._hashFile.apply(this, next);
+    if (this.closed) return;
+    if (error) {
+      // compare the next digest with nothing rather than a stale one
+      delete this._digests[fullPath];
+      return callback(error);
+    }
+    const changed = digest === undefined || this._digests[fullPath] !== digest;
+    if (digest === undefined) {
+      delete this._digests[fullPath];
+    } else {
+      this._digests[fullPath] = digest;
+    }
+    callback(null, digest, changed);
+  }.bind(this);
+
+  if (stats.size > opts.maxSize) return done(null);
+  if (typeof opts.algorithm === 'function') {
+    Promise.resolve()
+      .then(function() { return opts.algorithm(path, stats); })
+      .then(function(digest) { done(null, digest); }, done);
+    return;
+  }
+
+  let hash;
+  try {
+    hash = crypto.createHash(opts.algorithm);
+  } catch (error) {
+    return done(error);
+  }
+  // the file may have grown since it was stat'ed
+  let size = 0;
+  const stream = this.options.fs.createReadStream(path);
+  this._streams.add(stream);
+  stream.on('data', function(chunk) {
+    size += chunk.length;
+    if (size > opts.maxSize) {
+      stream.destroy();
+      this._streams.delete(stream);
+      return done(null);
+    }
+    hash.update(chunk);
+  }.bind(this)).on('error', function(error) {
+    this._streams.delete(stream);
+    done(error);
+  }.bind(this)).on('end', function() {
+    this._streams.delete(stream);
+    done(null, hash.digest('hex'));
+  }.bind(this));
+}
+
+/**
+ * Starts following a file in tail mode. Files present before `ready` are
+ * followed from their current size, files created later from the start,
+ * unless they are a tailed file moved away by log rotation.
+ * @param {String} path file path
+ * @param {fs.Stats} stats stats of the file
+ * @returns {Object|undefined} {ino, offset} of the file, undefined if the
+ *   file isn't tailed
+ */
+_startTail(path, stats) {
+  if (!this._tails || !stats) return;
+  const fullPath = sysPath.resolve(path);
+  if (this._tails[fullPath]) return this._tails[fullPath];
+  if (this._tailMatcher && !this._tailMatcher([path, stats])) return;
+
+  let offset = this._readyEmitted ? 0 : stats.size;
+  Object.keys(this._tails).forEach(function(key) {
+    const tail = this._tails[key];
+    if (tail.ino === stats.ino) offset = tail.offset;
+    else if (tail.previous && tail.previous.ino === stats.ino) offset = tail.previous.offset;
+  }, this);
+  const tail = {ino: stats.ino, offset: offset};
+  this._tails[fullPath] = tail;
+  return tail;
+}
+
+/**
+ * Emits `append` with the bytes written to a tailed file since the last
+ * known offset, after `rotate` if the file was replaced or `truncate` if
+ * it shrank.
+ * @param {String} path file path as emitted
+ * @param {fs.Stats=} stats current stats of the file
+ */
+_tail(path, stats) {
+  const fullPath = this.options.cwd ? sysPath.join(this.options.cwd, path) : path;
+  if (!stats) {
+    this.options.fs.stat(fullPath, function(error, stats) {
+      if (!error && stats) this._tail(path, stats);
+    }.bind(this));
+    return;
+  }
+  const tail = this._startTail(fullPath, stats);
+  if (!tail) return;
+  // like other events, unless they come from writes of the process itself
+  const dispatch = function(args) {
+    if (this._suppressed && this._isSuppressed(args[0], fullPath)) return;
+    this._dispatch(args);
+  }.bind(this);
+  // a read is in progress, continue with the latest stats once it's done
+  if (tail.reading) {
+    tail.pending = stats;
+    return;
+  }
+
+  if (stats.ino !== tail.ino) {
+    tail.previous = {ino: tail.ino, offset: tail.offset};
+    tail.ino = stats.ino;
+    tail.offset = 0;
+    dispatch(['rotate', path, stats]);
+  } else if (stats.size < tail.offset) {
+    tail.offset = 0;
+    dispatch(['truncate', path, stats]);
+  }
+  if (stats.size <= tail.offset) return;
+
+  // read up to the stat'ed size only, later writes come with their own event
+  const chunks = [];
+  const stream = this.options.fs.createReadStream(fullPath, {start: tail.offset, end: stats.size - 1});
+  tail.reading = true;
+  this._streams.add(stream);
+  const done = function() {
+    this._streams.delete(stream);
+    tail.reading = false;
+    const pending = tail.pending;
+    tail.pending = undefined;
+    if (pending) this._tail(path, pending);
+  }.bind(this);
+  stream.on('data', function(chunk) {
+    chunks.push(chunk);
+  }).on('error', function(error) {
+    this._handleError(error);
+    done();
+  }.bind(this)).on('end', function() {
+    const data = Buffer.concat(chunks);
+    tail.offset += data.length;
+    if (data.length) dispatch(['append', path, data, stats]);
+    done();
+  }.bind(this));
+}
+
+/**
+ * Queues an event for the next `batch` event, reducing it with an earlier
+ * event for the same path when possible.
+ * @param {Object} item event to queue ({event, path, stats})
+ */
+_addToBatch(item) {
+  const opts = this.options.batch;
+  let batch = this._batched;
+  if (!batch) {
+    batch = this._batched = {
+      changes: [],
+      latest: Object.create(null),
+      maxTimer: setTimeout(this._flushBatch.bind(this), opts.maxWait)
+    };
+  }
+
+  enqueue(batch, item);
+  clearTimeout(batch.waitTimer);
+  batch.waitTimer = setTimeout(this._flushBatch.bind(this), opts.wait);
+}
+
+/**
+ * Emits the queued changes as a single `batch` event.
+ */
+_flushBatch() {
+  const batch = this._batched;
+  if (!batch) return;
+  clearTimeout(batch.waitTimer);
+  clearTimeout(batch.maxTimer);
+  this._batched = null;
+  if (batch.changes.length) this.emit('batch', batch.changes);
+}
+
 /**
  * Common handler for errors
  * @param {Error} error 
@@ -296,11 +1063,12 @@ _awaitWriteFinish(path, threshold, event, awfEmit) {
   if (this.options.cwd && !sysPath.isAbsolute(path)) {
     fullPath = sysPath.join(this.options.cwd, path);
   }
+  const pollInterval = this._optionsFor(fullPath).awaitWriteFinish.pollInterval;
 
   const now = new Date();
 
   const awaitWriteFinish = (function (prevStat) {
-    fs.stat(fullPath, function(err, curStat) {
+    this.options.fs.stat(fullPath, function(err, curStat) {
       if (err || !(path in this._pendingWrites)) {
         if (err && err.code !== 'ENOENT') awfEmit(err);
         return;
@@ -318,7 +1086,7 @@ _awaitWriteFinish(path, threshold, event, awfEmit) {
       } else {
         timeoutHandler = setTimeout(
           awaitWriteFinish.bind(this, curStat),
-          this.options.awaitWriteFinish.pollInterval
+          pollInterval
         );
       }
     }.bind(this));
@@ -335,7 +1103,7 @@ _awaitWriteFinish(path, threshold, event, awfEmit) {
     };
     timeoutHandler = setTimeout(
       awaitWriteFinish.bind(this),
-      this.options.awaitWriteFinish.pollInterval
+      pollInterval
     );
   }
 }
@@ -349,26 +1117,402 @@ _awaitWriteFinish(path, threshold, event, awfEmit) {
 _isIgnored(path, stats) {
   if (this.options.atomic && dotRe.test(path)) return true;
   if (!this._userIgnored) {
-    const cwd = this.options.cwd;
-    let ignored = this.options.ignored;
-    if (cwd && ignored) {
-      ignored = ignored.map(function (path) {
-        if (typeof path !== 'string') return path;
-        return upath.normalize(sysPath.isAbsolute(path) ? path : sysPath.join(cwd, path));
-      });
+    this._userIgnored = anymatch(this._globIgnored().concat(
+      normalizeIgnored(this._ignoredRules, this.options.cwd)
+    ));
+  }
+
+  if (this._userIgnored([path, stats])) return true;
+  const root = this._rootFor(path);
+  if (root && root.ignored && root.ignored([path, stats])) return true;
+  if (this._pathPatterns && this._negatingPattern(path, stats)) return true;
+  return !!this._ignoreFileRules && !!this._ignoreFileFor(path, stats);
+}
+
+/**
+ * Evaluates the paths and negated `!patterns` passed to each `add()` call in
+ * order, the last matching one winning. Directories are not excluded while a
+ * later path of the same call could match something below them.
+ * @param {String} path filepath or dir
+ * @param {fs.Stats=} stats result of fs.stat, a directory is assumed without
+ * @returns {String|undefined} the negated pattern excluding the path
+ */
+_negatingPattern(path, stats) {
+  let negation;
+  this._pathPatterns.some(function(patterns) {
+    let i = patterns.length;
+    while (i--) {
+      if (patterns[i].matcher(path)) break;
     }
-    const paths = arrify(ignored)
-      .filter(function(path) {
-        return typeof path === 'string' && !isGlob(path);
-      }).map(function(path) {
-        return path + '/**';
+    if (i < 0 || !patterns[i].negated) return false;
+    if (!stats || stats.isDirectory()) {
+      const reincluded = patterns.slice(i + 1).some(function(entry) {
+        return !entry.negated && couldMatchBelow(entry.pattern, path);
       });
-    this._userIgnored = anymatch(
-      this._globIgnored().concat(ignored).concat(paths)
-    );
+      if (reincluded) return false;
+    }
+    negation = patterns[i].pattern;
+    return true;
+  });
+  return negation;
+}
+
+/**
+ * Stops excluding a path that is being added again on its own, as if its
+ * negated pattern had never been passed.
+ * @param {String} path filepath, dir or glob being added
+ * @returns {void}
+ */
+_unnegate(path) {
+  this._pathPatterns.forEach(function(patterns) {
+    patterns.forEach(function(entry) {
+      if (!entry.negated) return;
+      if (entry.pattern !== path && entry.pattern !== path + '/**') return;
+      entry.negated = false;
+      entry.matcher = anymatch([entry.pattern]);
+    });
+  });
+}
+
+/**
+ * Applies the rules of the `ignoreFiles` found in the watched directories
+ * above a path, with those of deeper directories taking precedence.
+ * @param {String} path filepath or dir
+ * @param {fs.Stats=} stats result of fs.stat
+ * @returns {String|undefined} path of the ignore file ignoring the path
+ */
+_ignoreFileFor(path, stats) {
+  const fullPath = sysPath.resolve(path);
+  const isDir = stats ? stats.isDirectory() : fullPath in this._watched;
+  const dirs = [];
+  let dir = sysPath.dirname(fullPath);
+  while (dir in this._watched) {
+    dirs.unshift(dir);
+    const parent = sysPath.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  let ignoreFile;
+  dirs.forEach(function(dir) {
+    // patterns ending with a slash only match directories
+    const relPath = upath.toUnix(sysPath.relative(dir, fullPath)) + (isDir ? '/' : '');
+    this._getIgnoreRules(dir).forEach(function(file) {
+      const result = file.rules.test(relPath);
+      if (result.ignored) ignoreFile = file.path;
+      else if (result.unignored) ignoreFile = undefined;
+    });
+  }, this);
+  return ignoreFile;
+}
+
+/**
+ * Reads the `ignoreFiles` of directories whose rules aren't cached yet.
+ * @param {Array<String>} dirs absolute paths of the directories
+ * @param {Function} callback called once the rules are cached, unless the
+ *   watcher was closed meanwhile
+ */
+_loadIgnoreRules(dirs, callback) {
+  const names = this.options.ignoreFiles;
+  dirs = dirs.filter(function(dir) {
+    return !(dir in this._ignoreFileRules);
+  }, this);
+  asyncEach(dirs, function(dir, next) {
+    const found = [];
+    asyncEach(names, function(name, next) {
+      const path = sysPath.join(dir, name);
+      this.options.fs.readFile(path, 'utf8', function(error, content) {
+        if (error) {
+          if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') this._handleError(error);
+        } else {
+          found[names.indexOf(name)] = {path: path, rules: ignore().add(content)};
+        }
+        next();
+      }.bind(this));
+    }.bind(this), function() {
+      this._ignoreFileRules[dir] = found.filter(Boolean);
+      next();
+    }.bind(this));
+  }.bind(this), function() {
+    if (!this.closed) callback();
+  }.bind(this));
+}
+
+/**
+ * Provides the rules of the `ignoreFiles` of a directory. They are loaded
+ * ahead by `_loadIgnoreRules`; directories that weren't, such as those found
+ * by fsevents, are read on the spot.
+ * @param {String} dir absolute path of the directory
+ * @returns {Array<Object>} {path, rules} of the ignore files found, rules as
+ *   provided by the ignore module
+ */
+_getIgnoreRules(dir) {
+  if (dir in this._ignoreFileRules) return this._ignoreFileRules[dir];
+  const files = [];
+  this.options.ignoreFiles.forEach(function(name) {
+    const path = sysPath.join(dir, name);
+    let content;
+    try {
+      content = this.options.fs.readFileSync(path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') this._handleError(error);
+      return;
+    }
+    files.push({path: path, rules: ignore().add(content)});
+  }, this);
+  this._ignoreFileRules[dir] = files;
+  return files;
+}
+
+/**
+ * Re-reads the rules of an ignore file that was added, changed or unlinked
+ * and re-evaluates the watched paths below its directory.
+ * @param {String} path path of the ignore file
+ */
+_reloadIgnoreFile(path) {
+  const dir = sysPath.dirname(sysPath.resolve(path));
+  delete this._ignoreFileRules[dir];
+  this._loadIgnoreRules([dir], function() {
+    this._reevaluateIgnored(dir, false);
+  }.bind(this));
+}
+
+/**
+ * Re-evaluates watched paths after the ignore rules changed. Paths that are
+ * now ignored are dropped, paths that no longer are are found by reading the
+ * directories again and emit `add` events.
+ * @param {String=} dir absolute path below which to re-evaluate, everything
+ *   watched when omitted
+ * @param {Boolean} emitUnlinks whether dropped paths emit `unlink`/`unlinkDir`
+ */
+_reevaluateIgnored(dir, emitUnlinks) {
+  const prefix = dir && sysPath.join(dir, sysPath.sep);
+
+  // forget the paths fsevents found to be ignored, which may no longer be
+  Object.keys(this._ignoredPaths).forEach(function(ignoredPath) {
+    if (this._ignoredPaths[ignoredPath] !== true) return;
+    if (dir && ignoredPath !== dir && !ignoredPath.startsWith(prefix)) return;
+    delete this._ignoredPaths[ignoredPath];
+    this._userIgnored = null;
+  }, this);
+
+  Object.keys(this._watched).forEach(function(watchedDir) {
+    if (dir && watchedDir !== dir && !watchedDir.startsWith(prefix)) return;
+    // may have been dropped along with its parent already
+    if (!this._watched[watchedDir]) return;
+    this._watched[watchedDir].children().forEach(function(item) {
+      if (this._isIgnored(sysPath.join(watchedDir, item))) {
+        this._remove(watchedDir, item, emitUnlinks);
+      }
+    }, this);
+    if (this._rescanners[watchedDir]) this._rescanners[watchedDir]();
+  }, this);
+
+  // fsevents only reads its roots, read the one containing the directory
+  if (dir && !this._rescanners[dir]) {
+    let root = dir;
+    while (!this._rescanners[root] && root !== sysPath.dirname(root)) {
+      root = sysPath.dirname(root);
+    }
+    if (this._rescanners[root]) this._rescanners[root]();
   }
+}
 
-  return this._userIgnored([path, stats]);
+/**
+ * Registers the options passed to `add()` for a watched path.
+ * @param {String} path file, directory, or glob pattern being watched
+ * @param {Object} rootOpts options overriding the watcher's ones
+ */
+_addRoot(path, rootOpts) {
+  const overrides = Object.assign({}, rootOpts);
+  let awf = overrides.awaitWriteFinish;
+  if (awf) {
+    awf = overrides.awaitWriteFinish = awf === true ? {} : Object.assign({}, awf);
+    if (!awf.stabilityThreshold) awf.stabilityThreshold = 2000;
+    if (!awf.pollInterval) awf.pollInterval = 100;
+    if (!this._pendingWrites) this._pendingWrites = Object.create(null);
+  }
+  // the watcher's options are frozen, so shadow them with own properties
+  const descriptors = {};
+  Object.keys(overrides).forEach(function(key) {
+    descriptors[key] = {value: overrides[key], enumerable: true};
+  });
+  const options = Object.freeze(Object.create(this.options, descriptors));
+
+  const watchPath = this.options.disableGlobbing || !isGlob(path) ? path : globParent(path);
+  if (!this._roots) this._roots = Object.create(null);
+  this._roots[sysPath.resolve(watchPath)] = {
+    options: options,
+    ignored: rootOpts.ignored &&
+      anymatch(normalizeIgnored(arrify(rootOpts.ignored), this.options.cwd))
+  };
+}
+
+/**
+ * Finds the innermost path added with its own options that contains a path.
+ * @param {String} path file or directory path
+ * @returns {Object|undefined} {options, ignored} registered by `_addRoot`
+ */
+_rootFor(path) {
+  if (!this._roots) return;
+  let dir = sysPath.resolve(path);
+  while (!(dir in this._roots)) {
+    const parent = sysPath.dirname(dir);
+    if (parent === dir) return;
+    dir = parent;
+  }
+  return this._roots[dir];
+}
+
+/**
+ * Options in effect for a path, taking per-path options of `add()` into
+ * account.
+ * @param {String} path file or directory path
+ * @returns {Object} options
+ */
+_optionsFor(path) {
+  const root = this._rootFor(path);
+  return root ? root.options : this.options;
+}
+
+/**
+ * Tells whether a symlink target is inside the watched paths or the
+ * `allowedRoots`, to which following symlinks can be confined.
+ * @param {String} path real path of the symlink target
+ * @returns {Boolean}
+ */
+_isWithinRoots(path) {
+  const roots = Object.keys(this._addedPaths).concat(this.options.allowedRoots || []);
+  return roots.some(function(root) {
+    const realRoot = this._realRoot(root);
+    return path === realRoot || path.startsWith(sysPath.join(realRoot, sysPath.sep));
+  }, this);
+}
+
+/**
+ * Real path of a watched path or allowed root, resolved once and cached
+ * unless the path doesn't exist yet.
+ * @param {String} root file, directory, or glob pattern being watched
+ * @returns {String} absolute real path of the root or its glob parent
+ */
+_realRoot(root) {
+  if (root in this._realRoots) return this._realRoots[root];
+  const watchPath = this.options.disableGlobbing || !isGlob(root) ? root : globParent(root);
+  try {
+    return (this._realRoots[root] = this.options.fs.realpathSync(watchPath));
+  } catch (error) {
+    return sysPath.resolve(watchPath);
+  }
+}
+
+/**
+ * Picks the backend watching a path: the one given with the `backend` option,
+ * else fsevents or the node fs handler, polling or not.
+ * @param {String} path file, directory, or glob pattern being watched
+ * @param {Boolean=} builtin whether to pick among the built-in backends only
+ * @returns {Object} backend
+ */
+_backendFor(path, builtin) {
+  if (this._backend && !builtin) return this._backend;
+  const usePolling = this._optionsFor(path).usePolling;
+  if (this.options.useFsEvents && FsEventsHandler.canUse() && !usePolling) {
+    return backends.fsevents;
+  }
+  return usePolling ? backends.polling : backends.nodefs;
+}
+
+/**
+ * Watches a root with the built-in implementation its options select:
+ * fsevents, or the node fs handler, polling or not.
+ * @param {String} path file, directory, or glob pattern being watched
+ * @returns {Object} handle closing the watchers of the path
+ */
+_watchBuiltin(path) {
+  if (this._backendFor(path, true) === backends.fsevents) {
+    // the initial scan and the native watcher both have to be ready
+    if (this.options.persistent) this._readyCount++;
+    this._addToFsEvents(path);
+  } else {
+    this._addToNodeFs(path, true, 0, 0, undefined, function(error, missing) {
+      if (!missing) return;
+      // watch the parent directory for the path to show up
+      this._emitReady();
+      if (!this.closed) this.add(sysPath.dirname(missing), sysPath.basename(missing));
+    }.bind(this));
+  }
+  return {close: this._closePath.bind(this, path)};
+}
+
+/**
+ * Watches a path with a backend. The entries reported through the context
+ * are tracked and filtered the way the built-in backends do it themselves.
+ * @param {String} path file, directory, or glob pattern being watched
+ * @param {Object} backend implementation of `watch(path, context)`
+ */
+_addToBackend(path, backend) {
+  const wh = this._getWatchHelpers(path);
+  const root = wh.watchPath;
+  const depth = wh.options.depth;
+  let initial = true;
+
+  const context = {
+    path: path,
+    options: wh.options,
+    isIgnored: function(entryPath, stats) {
+      return this._isIgnored(entryPath, stats);
+    }.bind(this),
+    emit: function(event, entryPath, stats) {
+      if (this.closed) return;
+      const relPath = sysPath.relative(root, entryPath);
+      entryPath = sysPath.join(root, relPath);
+      const levels = relPath ? relPath.split(sysPath.sep).length : 0;
+      if (depth != null && levels - 1 > depth) return;
+      if (this._isIgnored(entryPath, stats)) return;
+
+      const directory = sysPath.dirname(entryPath);
+      const item = sysPath.basename(entryPath);
+      const parent = this._getWatchedDir(directory);
+      const matches = !wh.hasGlob || wh.globFilter(entryPath);
+      if (event === 'add' || event === 'addDir') {
+        if (event === 'addDir') this._getWatchedDir(entryPath);
+        if (parent.has(item)) return;
+        parent.add(item);
+        if (matches && !(initial && this.options.ignoreInitial)) {
+          this._emit(event, entryPath, stats);
+        }
+      } else if (event === 'change') {
+        if (matches && parent.has(item)) this._emit(event, entryPath, stats);
+      } else if (event === 'unlink' || event === 'unlinkDir') {
+        this._remove(directory, item);
+      }
+    }.bind(this),
+    raw: function(rawEvent, evPath, details) {
+      this.emit('raw', rawEvent, evPath, details || {});
+    }.bind(this),
+    error: function(error) {
+      this._handleError(error);
+    }.bind(this),
+    ready: function() {
+      if (!initial) return;
+      initial = false;
+      this._emitReady();
+    }.bind(this),
+    builtin: function() {
+      // the built-in implementation signals readiness itself
+      initial = false;
+      return this._watchBuiltin(path);
+    }.bind(this)
+  };
+
+  let handle;
+  try {
+    handle = backend.watch(root, context);
+  } catch (error) {
+    this._handleError(error);
+    context.ready();
+    return;
+  }
+  if (handle && typeof handle.close === 'function') this._handles[path] = handle;
 }
 
 /**
@@ -383,7 +1527,8 @@ _getWatchHelpers(path, depth) {
   const fullWatchPath = sysPath.resolve(watchPath);
   const hasGlob = watchPath !== path;
   const globFilter = hasGlob ? anymatch(path) : false;
-  const follow = this.options.followSymlinks;
+  const options = this._optionsFor(watchPath);
+  const follow = options.followSymlinks;
   let globSymlink = hasGlob && follow ? null : false;
 
   const checkGlobSymlink = function(entry) {
@@ -451,6 +1596,7 @@ _getWatchHelpers(path, depth) {
   }.bind(this);
 
   return {
+    options: options,
     followSymlinks: follow,
     statMethod: follow ? 'stat' : 'lstat',
     path: path,
@@ -474,6 +1620,7 @@ _getWatchHelpers(path, depth) {
 _getWatchedDir(directory) {
   const dir = sysPath.resolve(directory);
   const watcherRemove = this._remove.bind(this);
+  const fs = this.options.fs;
   if (!(dir in this._watched)) this._watched[dir] = {
     _items: Object.create(null),
     add: function(item) {
@@ -514,9 +1661,11 @@ _hasReadPermissions(stats) {
  * files and directories within directories that are unlinked
  * @param {String} directory within which the following item is located
  * @param {String} item      base path of item/directory
+ * @param {Boolean=} emitUnlinks whether to emit events, regardless of the
+ *   ignore rules, for paths dropped because they became ignored
  * @returns {void}
 */
-_remove(directory, item) {
+_remove(directory, item, emitUnlinks) {
   // if what is being deleted is a directory, get that directory's paths
   // for recursive deleting and cleaning of watched object
   // if it is not a directory, nestedDirectoryChildren will be empty array
@@ -530,7 +1679,10 @@ _remove(directory, item) {
 
   // if the only watched file is removed, watch for its return
   const watchedDirs = Object.keys(this._watched);
-  if (!isDirectory && !this.options.useFsEvents && watchedDirs.length === 1) {
+  if (
+    !isDirectory && !this.options.useFsEvents && !this._backend &&
+    watchedDirs.length === 1
+  ) {
     this.add(directory, item, true);
   }
 
@@ -540,7 +1692,7 @@ _remove(directory, item) {
 
   // Recursively remove children directories / files.
   nestedDirectoryChildren.forEach(function(nestedItem) {
-    this._remove(path, nestedItem);
+    this._remove(path, nestedItem, emitUnlinks);
   }, this);
 
   // Check if item was on the watched list and remove it
@@ -551,17 +1703,24 @@ _remove(directory, item) {
   // If we wait for this file to be fully written, cancel the wait.
   let relPath = path;
   if (this.options.cwd) relPath = sysPath.relative(this.options.cwd, path);
-  if (this.options.awaitWriteFinish && this._pendingWrites[relPath]) {
+  if (this._pendingWrites && this._pendingWrites[relPath]) {
     const event = this._pendingWrites[relPath].cancelWait();
     if (event === 'add') return;
   }
 
   // The Entry will either be a directory that just got removed
   // or a bogus entry to a file, in either case we have to remove it
+  // rules of ignore files that only match directories need the entry
+  const ignored = emitUnlinks === undefined ? this._isIgnored(path) : !emitUnlinks;
   delete this._watched[path];
   delete this._watched[fullPath];
+  delete this._rescanners[fullPath];
+  if (this._ignoreFileRules) delete this._ignoreFileRules[fullPath];
   const eventName = isDirectory ? 'unlinkDir' : 'unlink';
-  if (wasTracked && !this._isIgnored(path)) this._emit(eventName, path);
+  if (wasTracked && !ignored) this._emit(eventName, path);
+  if (this._lastStats) delete this._lastStats[fullPath];
+  if (this._digests) delete this._digests[fullPath];
+  if (this._tails) delete this._tails[fullPath];
 
   // Avoid conflicts if we later create another file with the same name
   if (!this.options.useFsEvents) {
@@ -574,22 +1733,39 @@ _remove(directory, item) {
  * @param {String} path
  */
 _closePath(path) {
-  if (!this._closers[path]) return;
-  this._closers[path]();
+  const closer = this._closers[path];
+  const handle = this._handles[path];
+  if (!closer && !handle) return;
   delete this._closers[path];
+  delete this._handles[path];
+  if (closer) closer();
+  if (handle) handle.close();
   this._getWatchedDir(sysPath.dirname(path)).remove(sysPath.basename(path));
 }
 
 /**
  * Adds paths to be watched on an existing FSWatcher instance
  * @param {String|Array<String>} paths 
- * @param {Boolean} _origAdd private; for handling non-existent paths to be watched
+ * @param {Object=} _origAdd options for these paths only (`depth`, `ignored`,
+ *   `followSymlinks`, `awaitWriteFinish`, `usePolling`, `interval`,
+ *   `binaryInterval`, `minInterval`, `maxInterval`); private string for
+ *   handling non-existent paths
  * @param {Boolean} _internal private; indicates a non-user add
  * @returns {FSWatcher} for chaining
  */
 add(paths, _origAdd, _internal) {
   const disableGlobbing = this.options.disableGlobbing;
   const cwd = this.options.cwd;
+  let rootOpts;
+  if (_origAdd && typeof _origAdd === 'object') {
+    rootOpts = _origAdd;
+    _origAdd = undefined;
+    Object.keys(rootOpts).forEach(function(key) {
+      if (rootOptionKeys.indexOf(key) === -1) {
+        throw new TypeError('Option cannot be set per path: ' + key);
+      }
+    });
+  }
   this.closed = false;
   paths = flatten(arrify(paths));
 
@@ -615,14 +1791,33 @@ add(paths, _origAdd, _internal) {
     }
   });
 
-  // set aside negated glob strings
+  // set aside negated glob strings, keeping the order of the patterns of this
+  // call from the first negated one on so that the paths following it in the
+  // same call can include excluded ones again
+  let group;
   paths = paths.filter(function(path) {
-    if (path[0] === '!') {
-      this._ignoredPaths[path.substring(1)] = true;
-    } else {
+    const negated = path[0] === '!';
+    if (negated && !group && !_origAdd) {
+      group = [];
+      if (!this._pathPatterns) this._pathPatterns = [];
+      this._pathPatterns.push(group);
+    }
+    if (group) {
+      const pattern = negated ? path.substring(1) : path;
+      group.push({
+        pattern: pattern,
+        negated: negated,
+        // a negated path excludes everything below it, a later path only
+        // includes what it matches itself
+        matcher: anymatch(negated ? normalizeIgnored([pattern]) : [pattern])
+      });
+    }
+    if (!negated) {
+      if (!_origAdd) this._addedPaths[path] = true;
       // if a path is being added that was previously ignored, stop ignoring it
       delete this._ignoredPaths[path];
       delete this._ignoredPaths[path + '/**'];
+      if (this._pathPatterns && !group && !_origAdd) this._unnegate(path);
 
       // reset the cached userIgnored anymatch fn
       // to make ignoredPaths changes effective
@@ -632,26 +1827,46 @@ add(paths, _origAdd, _internal) {
     }
   }, this);
 
-  if (this.options.useFsEvents && FsEventsHandler.canUse()) {
-    if (!this._readyCount) this._readyCount = paths.length;
-    if (this.options.persistent) this._readyCount *= 2;
-    paths.forEach(this._addToFsEvents, this);
-  } else {
-    if (!this._readyCount) this._readyCount = 0;
-    this._readyCount += paths.length;
-    asyncEach(paths, function(path, next) {
-      this._addToNodeFs(path, !_internal, 0, 0, _origAdd, function(err, res) {
-        if (res) this._emitReady();
-        next(err, res);
+  if (rootOpts) paths.forEach(function(path) {
+    this._addRoot(path, rootOpts);
+  }, this);
+
+  // roots symlinks may be confined to are compared by their real paths
+  if (!_origAdd) paths.forEach(function(path) {
+    const followSymlinks = this._optionsFor(path).followSymlinks;
+    if (followSymlinks === 'within-roots' || this.options.allowedRoots) this._realRoot(path);
+  }, this);
+
+  if (!this._readyCount) this._readyCount = 0;
+  this._readyCount += paths.length;
+
+  // paths added again by the node fs handler itself stay with it
+  if (_origAdd || _internal) {
+    paths.forEach(function(path) {
+      this._addToNodeFs(path, !_internal, 0, 0, _origAdd, function(error, missing) {
+        if (!missing) return;
+        this._emitReady();
+        if (!this.closed) {
+          this.add(sysPath.dirname(missing), sysPath.basename(_origAdd || missing));
+        }
       }.bind(this));
-    }.bind(this), function(error, results) {
-      results.forEach(function(item) {
-        if (!item || this.closed) return;
-        this.add(sysPath.dirname(item), sysPath.basename(_origAdd || item));
-      }, this);
-    }.bind(this));
+    }, this);
+    return this;
   }
 
+  paths.forEach(function(path) {
+    const backend = this._backendFor(path);
+    if (builtinBackends.indexOf(backend) !== -1) {
+      this._addToBackend(path, backend);
+      return;
+    }
+    // start custom backends on the next tick so that listeners can be bound
+    // before they report the entries they find
+    process.nextTick(function() {
+      if (!this.closed) this._addToBackend(path, backend);
+    }.bind(this));
+  }, this);
+
   return this;
 }
 
@@ -666,16 +1881,19 @@ unwatch(paths) {
 
   paths.forEach(function(path) {
     // convert to absolute path unless relative path already matches
-    if (!sysPath.isAbsolute(path) && !this._closers[path]) {
+    if (!sysPath.isAbsolute(path) && !this._closers[path] && !this._handles[path]) {
       if (this.options.cwd) path = sysPath.join(this.options.cwd, path);
       path = sysPath.resolve(path);
     }
 
     this._closePath(path);
+    if (this._roots) delete this._roots[sysPath.resolve(path)];
+    delete this._addedPaths[path];
+    delete this._realRoots[path];
 
-    this._ignoredPaths[path] = true;
+    this._ignoredPaths[path] = 'unwatched';
     if (path in this._watched) {
-      this._ignoredPaths[path + '/**'] = true;
+      this._ignoredPaths[path + '/**'] = 'unwatched';
     }
 
     // reset the cached userIgnored anymatch fn
@@ -687,21 +1905,436 @@ unwatch(paths) {
 }
 
 /**
- * Close watchers and remove all listeners from watched paths.
+ * Runs `fn` without reporting the changes it makes to `paths` (or anything
+ * below them), including those detected shortly after it completes.
+ * @param {String|Array<String>} paths files or directories written by `fn`
+ * @param {Function} fn may return a promise, awaited before resuming
+ * @returns {Promise} settled with the outcome of `fn`
+ */
+suppress(paths, fn) {
+  if (!this._suppressed) {
+    this._suppressed = Object.create(null);
+    this._ignoreNext = Object.create(null);
+  }
+  const fullPaths = flatten(arrify(paths)).map(function(path) {
+    return sysPath.resolve(this.options.cwd || '', path);
+  }, this);
+  fullPaths.forEach(function(path) {
+    this._suppressed[path] = (this._suppressed[path] || 0) + 1;
+  }, this);
+
+  const release = function() {
+    fullPaths.forEach(function(path) {
+      if (--this._suppressed[path] === 0) delete this._suppressed[path];
+      if (this.closed) return;
+
+      // events for the last writes may still be on their way
+      const opts = this._optionsFor(path);
+      const interval = isBinaryPath(path) ? opts.binaryInterval : opts.interval;
+      const settle = opts.usePolling ? Math.max(interval * 2, 100) : 100;
+      const settling = this._throttled.suppress;
+      if (settling && settling[path]) settling[path].clear();
+      this._throttle('suppress', path, settle);
+    }, this);
+  }.bind(this);
+
+  return Promise.resolve().then(fn).then(function(result) {
+    release();
+    return result;
+  }, function(error) {
+    release();
+    throw error;
+  });
+}
+
+/**
+ * Replaces the `ignored` option and re-evaluates the watched paths: those
+ * that became ignored stop being watched, those that no longer are get
+ * scanned and emit `add`/`addDir` events.
+ * @param {*} rules anymatch-compatible definitions
+ * @param {Object=} opts `emitUnlinks` to emit `unlink`/`unlinkDir` events
+ *   for the paths that became ignored
  * @returns {FSWatcher} for chaining
+ */
+setIgnored(rules, opts) {
+  this._ignoredRules = arrify(rules);
+  // rebuild the cached userIgnored anymatch fn
+  this._userIgnored = null;
+  this._reevaluateIgnored(undefined, !!(opts && opts.emitUnlinks));
+  return this;
+}
+
+/**
+ * Ignores more paths, see `setIgnored()`.
+ * @param {*} rules anymatch-compatible definitions
+ * @param {Object=} opts `emitUnlinks`
+ * @returns {FSWatcher} for chaining
+ */
+addIgnored(rules, opts) {
+  return this.setIgnored(this._ignoredRules.concat(arrify(rules)), opts);
+}
+
+/**
+ * Stops ignoring paths, see `setIgnored()`. Rules are compared with those
+ * previously given, so regular expressions and functions must be the same
+ * objects.
+ * @param {*} rules anymatch-compatible definitions
+ * @param {Object=} opts `emitUnlinks`
+ * @returns {FSWatcher} for chaining
+ */
+removeIgnored(rules, opts) {
+  const removed = arrify(rules);
+  return this.setIgnored(this._ignoredRules.filter(function(rule) {
+    return removed.indexOf(rule) === -1;
+  }), opts);
+}
+
+/**
+ * Tells whether a path is ignored, and why.
+ * @param {String} path file or directory path, relative to `cwd` if set
+ * @returns {Object} `ignored`, `reason` and `rule`. The reason is one of
+ *   `atomic` (editor temp files), `negated` (a `!glob` passed to `add()`),
+ *   `unwatched`, `ignored` (an entry of the `ignored` option), `ignoreFile`
+ *   (the rule is the path of the file), `notWatched`, `depth`, `glob` (a
+ *   watched glob the path doesn't match) or `permissions`, null when the
+ *   path isn't ignored.
+ */
+explainIgnored(path) {
+  const cwd = this.options.cwd;
+  if (cwd && !sysPath.isAbsolute(path)) path = sysPath.join(cwd, path);
+  const fullPath = sysPath.resolve(path);
+  let stats;
+  try {
+    stats = this.options.fs.statSync(path);
+  } catch (error) {}
+
+  if (this.options.atomic && dotRe.test(path)) return explanation('atomic', dotRe);
+
+  // entries set by the fsevents handler only cache the result of other rules
+  const ignoredPath = Object.keys(this._ignoredPaths).find(function(ignoredPath) {
+    return this._ignoredPaths[ignoredPath] !== true && anymatch(ignoredPath, path);
+  }, this);
+  if (ignoredPath) return explanation(this._ignoredPaths[ignoredPath], ignoredPath);
+
+  const root = this._rootFor(path);
+  const rule = this._ignoredRules.concat(
+    root && root.ignored ? arrify(root.options.ignored) : []
+  ).find(function(rule) {
+    return anymatch(normalizeIgnored([rule], cwd), [path, stats]);
+  });
+  if (rule !== undefined) return explanation('ignored', rule);
+
+  const negation = this._pathPatterns && this._negatingPattern(path, stats);
+  if (negation) return explanation('negated', negation);
+
+  const ignoreFile = this._ignoreFileRules && this._ignoreFileFor(path, stats);
+  if (ignoreFile) return explanation('ignoreFile', ignoreFile);
+
+  // the innermost path passed to `add()` containing this one
+  let pattern;
+  let watchPath;
+  Object.keys(this._addedPaths).forEach(function(added) {
+    const dir = sysPath.resolve(this.options.disableGlobbing || !isGlob(added) ?
+      added : globParent(added));
+    if (fullPath !== dir && !fullPath.startsWith(sysPath.join(dir, sysPath.sep))) return;
+    if (watchPath && watchPath.length >= dir.length) return;
+    pattern = added;
+    watchPath = dir;
+  }, this);
+  if (!pattern) return explanation('notWatched');
+
+  const depth = this._optionsFor(watchPath).depth;
+  const levels = fullPath === watchPath ? 0 :
+    sysPath.relative(watchPath, fullPath).split(sysPath.sep).length;
+  // entries of the directory at the depth limit are still reported
+  if (depth != null && levels - 1 > depth) return explanation('depth', depth);
+
+  const wh = this._getWatchHelpers(pattern);
+  if (wh.hasGlob && !wh.globFilter(
+    sysPath.join(wh.watchPath, sysPath.relative(wh.watchPath, fullPath))
+  )) {
+    return explanation('glob', pattern);
+  }
+
+  if (stats && !stats.isDirectory() && !this.options.ignorePermissionErrors &&
+    !this._hasReadPermissions(stats)) {
+    return explanation('permissions');
+  }
+  return explanation();
+}
+
+/**
+ * Skips the next `add` or `change` event of a file, for a write the
+ * process is about to make itself.
+ * @param {String} path file path
+ * @returns {FSWatcher} for chaining
+ */
+ignoreNextChange(path) {
+  if (!this._suppressed) {
+    this._suppressed = Object.create(null);
+    this._ignoreNext = Object.create(null);
+  }
+  this._ignoreNext[sysPath.resolve(this.options.cwd || '', path)] = true;
+  return this;
+}
+
+/**
+ * Holds back events until `resume()` is called. Paths stay watched, and the
+ * events received in the meantime are reduced per path to their net effect.
+ * @returns {FSWatcher} for chaining
+ */
+pause() {
+  if (!this._paused) this._paused = {changes: [], latest: Object.create(null)};
+  return this;
+}
+
+/**
+ * Emits the net effect of the events received while paused and goes back
+ * to emitting events as they come.
+ * @param {Object=} opts `{discard: true}` drops the held back events instead
+ * @returns {FSWatcher} for chaining
+ */
+resume(opts) {
+  const paused = this._paused;
+  if (!paused) return this;
+  this._paused = null;
+  if (opts && opts.discard) return this;
+  paused.changes.forEach(function(item) {
+    this._dispatch(toEventArgs(item));
+  }, this);
+  return this;
+}
+
+/**
+ * Records the stats of every watched entry, for the `since` option of a
+ * later watcher.
+ * @param {String=} file if given, the snapshot is also written to this file
+ * @returns {Promise} resolved with {version, entries}, entries being keyed
+ *   by absolute path and holding {type, ino, size, mtime}
+ */
+snapshot(file) {
+  const paths = [];
+  Object.keys(this._watched).forEach(function(dir) {
+    this._watched[dir].children().forEach(function(item) {
+      paths.push(sysPath.join(dir, item));
+    });
+  }, this);
+  paths.sort();
+
+  const fs = this.options.fs;
+  const statMethod = this.options.followSymlinks ? 'stat' : 'lstat';
+  const stats = Object.create(null);
+  return new Promise(function(resolve, reject) {
+    asyncEach(paths, function(path, next) {
+      fs[statMethod](path, function(error, entryStats) {
+        // entries removed in the meantime are left out
+        if (!error) stats[path] = entryStats;
+        next();
+      });
+    }, function() {
+      const entries = {};
+      paths.forEach(function(path) {
+        const entryStats = stats[path];
+        if (!entryStats) return;
+        entries[path] = {
+          type: entryStats.isDirectory() ? 'dir' : 'file',
+          ino: entryStats.ino,
+          size: entryStats.size,
+          mtime: entryStats.mtime.getTime()
+        };
+      });
+      const snapshot = {version: 1, entries: entries};
+      if (!file) return resolve(snapshot);
+
+      // write to a temporary file first so a crash can't leave half a snapshot
+      const tmpFile = file + '.tmp';
+      fs.writeFile(tmpFile, JSON.stringify(snapshot), function(error) {
+        if (error) return reject(error);
+        fs.rename(tmpFile, file, function(error) {
+          if (error) return reject(error);
+          resolve(snapshot);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Close watchers and remove all listeners from watched paths.
+ * Pending timers and directory scans are cancelled, so no further events
+ * are emitted once this has been called.
+ * @returns {Promise} resolved when all underlying watchers are released
 */
 close() {
-  if (this.closed) return this;
+  if (this.closed) return this._closePromise;
 
   this.closed = true;
+  const closing = [];
   Object.keys(this._closers).forEach(function(watchPath) {
-    this._closers[watchPath]();
+    const result = this._closers[watchPath]();
+    if (result && typeof result.then === 'function') closing.push(result);
     delete this._closers[watchPath];
   }, this);
+  Object.keys(this._handles).forEach(function(watchPath) {
+    const handle = this._handles[watchPath];
+    delete this._handles[watchPath];
+    const result = handle.close();
+    if (result && typeof result.then === 'function') closing.push(result);
+  }, this);
   this._watched = Object.create(null);
 
+  // cancel in-flight directory scans
+  this._streams.forEach(function(stream) {
+    stream.destroy();
+  });
+  this._streams.clear();
+  if (this._hashQueue) this._hashQueue.length = 0;
+
+  // cancel pending atomic unlinks, write-finish polls and throttles
+  if (this._pendingUnlinkTimer) {
+    clearTimeout(this._pendingUnlinkTimer);
+    this._pendingUnlinkTimer = null;
+  }
+  if (this._pendingUnlinks) this._pendingUnlinks = Object.create(null);
+  if (this._pendingRenames) {
+    Object.keys(this._pendingRenames).forEach(function(key) {
+      clearTimeout(this._pendingRenames[key].timeout);
+    }, this);
+    this._pendingRenames = Object.create(null);
+    this._pendingRenamePaths = Object.create(null);
+    this._renamedDirs.forEach(function(renamed) {
+      clearTimeout(renamed.timeout);
+    });
+    this._renamedDirs = [];
+  }
+  if (this._batched) {
+    clearTimeout(this._batched.waitTimer);
+    clearTimeout(this._batched.maxTimer);
+    this._batched = null;
+  }
+  this._paused = null;
+  if (this._tails) this._tails = Object.create(null);
+  if (this._pendingWrites) {
+    Object.keys(this._pendingWrites).forEach(function(path) {
+      this._pendingWrites[path].cancelWait();
+    }, this);
+  }
+  Object.keys(this._throttled).forEach(function(action) {
+    const throttled = this._throttled[action];
+    Object.keys(throttled).forEach(function(path) {
+      throttled[path].clear();
+    });
+  }, this);
+
+  // let async iterators drain what they have already buffered
+  this._eventIterators.forEach(function(finish) {
+    finish();
+  });
+
   this.removeAllListeners();
-  return this;
+  this._closePromise = Promise.all(closing).then(Function.prototype);
+  return this._closePromise;
+}
+
+/**
+ * Async iterator over emitted events. Events are queued until they are
+ * consumed; once `highWaterMark` events are waiting, the `overflow` policy
+ * decides what gets dropped. Iteration ends on `break`, when `signal` is
+ * aborted or when the watcher is closed.
+ * @param {Object=} opts
+ * @param {Number=} opts.highWaterMark max number of queued events (default 1024)
+ * @param {String=} opts.overflow 'drop-oldest' (default), 'coalesce' or 'marker'
+ * @param {AbortSignal=} opts.signal ends the iteration when aborted
+ * @returns {AsyncIterator} yields `{event, path, stats}` objects
+*/
+events(opts) {
+  opts = opts || {};
+  const highWaterMark = opts.highWaterMark > 0 ? opts.highWaterMark : 1024;
+  const overflow = opts.overflow || 'drop-oldest';
+  const signal = opts.signal;
+  if (overflowPolicies.indexOf(overflow) === -1) {
+    throw new TypeError('Unknown overflow policy: ' + overflow);
+  }
+
+  const queue = [];
+  const waiting = [];
+  let done = false;
+
+  const push = function(item) {
+    if (waiting.length) return waiting.shift()({value: item, done: false});
+    if (queue.length >= highWaterMark) {
+      if (overflow === 'marker') {
+        // drop new events, but tell the consumer how many were lost
+        const last = queue[queue.length - 1];
+        if (last.event === 'overflow') last.dropped++;
+        else queue.push({event: 'overflow', dropped: 1});
+        return;
+      }
+      if (overflow === 'coalesce') {
+        let index = queue.length;
+        while (index--) if (queue[index].path === item.path) break;
+        const merged = index === -1 ? undefined : coalesce(queue[index], item);
+        if (merged !== undefined) {
+          if (merged) queue[index] = merged;
+          else queue.splice(index, 1);
+          return;
+        }
+      }
+      queue.shift();
+    }
+    queue.push(item);
+  };
+
+  // with `batch`, events reach the iterator as the changes of `batch` events
+  const batched = !!this.options.batch;
+  const listener = batched ? function(changes) {
+    changes.forEach(push);
+  } : function() {
+    push(toEventObject(Array.from(arguments)));
+  };
+
+  const finish = function() {
+    if (done) return;
+    done = true;
+    this.removeListener(batched ? 'batch' : 'all', listener);
+    this._eventIterators.delete(finish);
+    if (signal) signal.removeEventListener('abort', abort);
+    while (waiting.length) waiting.shift()({value: undefined, done: true});
+  }.bind(this);
+
+  const abort = function() {
+    queue.length = 0;
+    finish();
+  };
+
+  const iterator = {
+    next: function() {
+      if (queue.length) {
+        return Promise.resolve({value: queue.shift(), done: false});
+      }
+      if (done) return Promise.resolve({value: undefined, done: true});
+      return new Promise(function(resolve) {
+        waiting.push(resolve);
+      });
+    },
+    return: function() {
+      abort();
+      return Promise.resolve({value: undefined, done: true});
+    }
+  };
+  if (Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function() { return iterator; };
+  }
+
+  // a closed watcher emits nothing more, so there is nothing to wait for
+  if (this.closed || (signal && signal.aborted)) {
+    done = true;
+    return iterator;
+  }
+  if (signal) signal.addEventListener('abort', abort);
+  this._eventIterators.add(finish);
+  this.on(batched ? 'batch' : 'all', listener);
+  return iterator;
 }
 
 /**
@@ -719,6 +2352,13 @@ getWatched() {
 
 }
 
+// Allow `for await (const event of watcher)`
+if (Symbol.asyncIterator) {
+  FSWatcher.prototype[Symbol.asyncIterator] = function() {
+    return this.events();
+  };
+}
+
 // Attach watch handler prototype methods
 Object.assign(FSWatcher.prototype, NodeFsHandler);
 if (FsEventsHandler.canUse()) Object.assign(FSWatcher.prototype, FsEventsHandler);
@@ -726,6 +2366,24 @@ if (FsEventsHandler.canUse()) Object.assign(FSWatcher.prototype, FsEventsHandler
 // Export FSWatcher class
 exports.FSWatcher = FSWatcher;
 
+/**
+ * Registers a watch implementation under a name the `backend` option can
+ * refer to.
+ * @param {String} name name of the backend
+ * @param {Object} backend implementation of `watch(path, context)`, with
+ *   optional `capabilities` and `canUse()`
+ */
+const registerBackend = (name, backend) => {
+  if (builtinBackends.indexOf(backends[name]) !== -1) {
+    throw new Error('Cannot replace the built-in ' + name + ' backend');
+  }
+  if (!backend || typeof backend.watch !== 'function') {
+    throw new TypeError('A backend must implement `watch(path, context)`');
+  }
+  backends[name] = backend;
+};
+exports.registerBackend = registerBackend;
+
 /**
  * Instantiates watcher with paths to be tracked.
  * @param {String|Array<String>} paths file/directory paths and/or globs
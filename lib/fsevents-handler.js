@@ -95,12 +95,13 @@ function setFSEventsListener(path, realPath, listener, rawEmitter) {
 
   // removes this instance's listeners and closes the underlying fsevents
   // instance if there are no more listeners left
+  // returns the promise of the native stop call, if there was one
   return function close() {
     delete watchContainer.listeners[listenerIndex];
     delete watchContainer.rawEmitters[listenerIndex];
     if (!Object.keys(watchContainer.listeners).length) {
-      watchContainer.watcher.stop();
       delete FSEventsWatchers[watchPath];
+      return watchContainer.watcher.stop();
     }
   };
 }
@@ -148,10 +149,11 @@ const FsEventsHandler = {
 // Returns close function for the watcher instance
 _watchWithFsEvents(watchPath, realPath, transform, globFilter) {
   if (this._isIgnored(watchPath)) return;
+  const opts = this._optionsFor(watchPath);
   const watchCallback = function watchCallback(fullPath, flags, info) {
     if (
-      this.options.depth !== undefined &&
-      depth(fullPath, realPath) > this.options.depth
+      opts.depth !== undefined &&
+      depth(fullPath, realPath) > opts.depth
     ) return;
     const path = transform(sysPath.join(
       watchPath, sysPath.relative(watchPath, fullPath)
@@ -189,11 +191,18 @@ _watchWithFsEvents(watchPath, realPath, transform, globFilter) {
           // track new directories
           if (info.type === 'directory') this._getWatchedDir(path);
 
-          if (info.type === 'symlink' && this.options.followSymlinks) {
-            // push symlinks back to the top of the stack to get handled
-            const curDepth = this.options.depth === undefined ?
+          if (info.type === 'symlink' && opts.followSymlinks) {
+            // push symlinks back to the top of the stack to get handled,
+            // unless they lead outside the roots following is confined to
+            const curDepth = opts.depth === undefined ?
               undefined : depth(fullPath, realPath) + 1;
-            return this._addToFsEvents(path, false, true, curDepth);
+            return fs.realpath(path, function(error, linkTarget) {
+              if (error || this._canFollowSymlink(path, linkTarget)) {
+                return this._addToFsEvents(path, false, true, curDepth);
+              }
+              this._getWatchedDir(parent).add(item);
+              this._emit('add', path);
+            }.bind(this));
           } else {
             // track new paths
             // (other than symlinks being followed, which will be tracked soon)
@@ -258,15 +267,32 @@ _watchWithFsEvents(watchPath, realPath, transform, globFilter) {
   return closer;
 },
 
+// Private method: Tell whether a symlink may be followed, reporting it
+// otherwise, when following is confined to the watched or allowed roots
+
+// * linkPath   - string, path to symlink as emitted
+// * linkTarget - string, real path the symlink leads to
+
+// Returns true if the symlink can be followed
+_canFollowSymlink(linkPath, linkTarget) {
+  const followSymlinks = this._optionsFor(linkPath).followSymlinks;
+  const confined = followSymlinks === 'within-roots' || this.options.allowedRoots;
+  if (!confined || this._isWithinRoots(linkTarget)) return true;
+  const cwd = this.options.cwd;
+  this.emit('symlinkOutsideRoot', cwd ? sysPath.relative(cwd, linkPath) : linkPath, linkTarget);
+  return false;
+},
+
 // Private method: Handle symlinks encountered during directory scan
 
 // * linkPath   - string, path to symlink
 // * fullPath   - string, absolute path to the symlink
 // * transform  - function, pre-existing path transformer
 // * curDepth   - int, level of subdirectories traversed to where symlink is
+// * addEntry   - function, adds the symlink as a plain entry
 
 // Returns nothing
-_handleFsEventsSymlink(linkPath, fullPath, transform, curDepth) {
+_handleFsEventsSymlink(linkPath, fullPath, transform, curDepth, addEntry) {
   // don't follow the same symlink more than once
   if (this._symlinkPaths[fullPath]) return;
   else this._symlinkPaths[fullPath] = true;
@@ -277,6 +303,10 @@ _handleFsEventsSymlink(linkPath, fullPath, transform, curDepth) {
     if (this._handleError(error) || this._isIgnored(linkTarget)) {
       return this._emitReady();
     }
+    if (!this._canFollowSymlink(transform(linkPath), linkTarget)) {
+      addEntry();
+      return this._emitReady();
+    }
 
     this._readyCount++;
 
@@ -301,9 +331,10 @@ _handleFsEventsSymlink(linkPath, fullPath, transform, curDepth) {
 // * transform  - function, converts working path to what the user expects
 // * forceAdd   - boolean, ensure add is emitted
 // * priorDepth - int, level of subdirectories already traversed
+// * rescan     - boolean, read again to add entries no longer ignored
 
 // Returns nothing
-_addToFsEvents(path, transform, forceAdd, priorDepth) {
+_addToFsEvents(path, transform, forceAdd, priorDepth, rescan) {
 
   // applies transform if provided, otherwise returns same value
   const processPath = typeof transform === 'function' ?
@@ -317,22 +348,31 @@ _addToFsEvents(path, transform, forceAdd, priorDepth) {
 
     // ensure empty dirs get tracked
     if (isDir) this._getWatchedDir(pp);
+    this._setStats(pp, stats);
+    if (!isDir) this._startTail(pp, stats);
 
     if (dirObj.has(base)) return;
     dirObj.add(base);
 
     if (!this.options.ignoreInitial || forceAdd === true) {
       this._emit(isDir ? 'addDir' : 'add', pp, stats);
+    } else if (this._digests && !isDir) {
+      this._hashFile(pp, stats, Function.prototype);
     }
   }.bind(this);
 
+  // rescans have no part in getting ready
+  const ready = function() {
+    if (!rescan) this._emitReady();
+  }.bind(this);
+
   const wh = this._getWatchHelpers(path);
 
   // evaluate what is at the path we're being asked to watch
   fs[wh.statMethod](wh.watchPath, function(error, stats) {
     if (this._handleError(error) || this._isIgnored(wh.watchPath, stats)) {
-      this._emitReady();
-      return this._emitReady();
+      ready();
+      return ready();
     }
 
     if (stats.isDirectory()) {
@@ -340,17 +380,21 @@ _addToFsEvents(path, transform, forceAdd, priorDepth) {
       if (!wh.globFilter) emitAdd(processPath(path), stats);
 
       // don't recurse further if it would exceed depth setting
-      if (priorDepth && priorDepth > this.options.depth) return;
+      if (priorDepth && priorDepth > wh.options.depth) return;
 
       // scan the contents of the dir
-      readdirp({
+      const stream = readdirp({
         root: wh.watchPath,
         entryType: 'all',
         fileFilter: wh.filterPath,
         directoryFilter: wh.filterDir,
         lstat: true,
-        depth: this.options.depth - (priorDepth || 0)
-      }).on('data', function(entry) {
+        depth: wh.options.depth - (priorDepth || 0)
+      });
+      this._streams.add(stream);
+
+      stream.on('data', function(entry) {
+        if (this.closed) return;
         // need to check filterPath on dirs b/c filterDir is less restrictive
         if (entry.stat.isDirectory() && !wh.filterPath(entry)) return;
 
@@ -360,22 +404,36 @@ _addToFsEvents(path, transform, forceAdd, priorDepth) {
         if (wh.followSymlinks && entry.stat.isSymbolicLink()) {
           // preserve the current depth here since it can't be derived from
           // real paths past the symlink
-          const curDepth = this.options.depth === undefined ?
+          const curDepth = wh.options.depth === undefined ?
             undefined : depth(joinedPath, sysPath.resolve(wh.watchPath)) + 1;
 
-          this._handleFsEventsSymlink(joinedPath, fullPath, processPath, curDepth);
+          this._handleFsEventsSymlink(joinedPath, fullPath, processPath, curDepth, function() {
+            emitAdd(joinedPath, entry.stat);
+          });
         } else {
           emitAdd(joinedPath, entry.stat);
         }
       }.bind(this)).on('error', function() {
         // Ignore readdirp errors
-      }).on('end', this._emitReady);
+        this._streams.delete(stream);
+      }.bind(this)).on('end', function() {
+        this._streams.delete(stream);
+        ready();
+      }.bind(this));
     } else {
       emitAdd(wh.watchPath, stats);
-      this._emitReady();
+      ready();
     }
   }.bind(this));
 
+  if (rescan) return;
+  if (forceAdd !== true) {
+    // fsevents reports changes only, entries no longer ignored need a read
+    this._rescanners[sysPath.resolve(processPath(wh.watchPath))] = function() {
+      this._addToFsEvents(path, transform, true, priorDepth, true);
+    }.bind(this);
+  }
+
   if (this.options.persistent && forceAdd !== true) {
     const initWatch = function(error, realPath) {
       if (this.closed) return;
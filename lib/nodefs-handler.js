@@ -1,18 +1,195 @@
 'use strict';
 
-const fs = require('fs');
+const nodeFs = require('fs');
 const sysPath = require('path');
+const EventEmitter = require('events').EventEmitter;
 const readdirp = require('readdirp');
 const isBinaryPath = require('is-binary-path');
 
+// Private function: Describes a change of a file for listeners of `change`
+
+// * prevStats  - object, result of fs_stat before the change
+// * stats      - object, result of fs_stat after the change
+
+// Returns details object with the previous stats and the type of change:
+// `replaced` (inode changed), `content` (size or mtime) or `metadata`
+const changeDetails = (prevStats, stats) => {
+  let changeType = 'metadata';
+  if (prevStats.ino !== stats.ino) {
+    changeType = 'replaced';
+  } else if (
+    prevStats.size !== stats.size ||
+    prevStats.mtime.getTime() !== stats.mtime.getTime()
+  ) {
+    changeType = 'content';
+  }
+  return {prevStats: prevStats, changeType: changeType};
+};
+
+// Private function: Tells whether the mode, owner or link count of a file
+// system entry differ between two results of fs_stat
+const attribChanged = (prevStats, stats) => (
+  prevStats.mode !== stats.mode ||
+  prevStats.uid !== stats.uid ||
+  prevStats.gid !== stats.gid ||
+  prevStats.nlink !== stats.nlink
+);
+
+// ids of the file systems passed as the `fs` option
+const fsIds = new WeakMap();
+let fsCount = 0;
+
+// Private function: Keys the per-process instances of a file system entry,
+// so that they are only shared by watchers of the same file system
+
+// * fs       - object, file system implementation
+// * fullPath - string, absolute path
+
+// Returns key string
+function instanceKey(fs, fullPath) {
+  if (fs === nodeFs) return fullPath;
+  if (!fsIds.has(fs)) fsIds.set(fs, ++fsCount);
+  return 'fs' + fsIds.get(fs) + ':' + fullPath;
+}
+
+// Private function: Reads the entries of a directory like readdirp with a
+// depth of 0 does, through a file system passed as the `fs` option, which
+// readdirp can't use, or for the directory scan, which only stats the
+// entries it doesn't know yet
+
+// * fs              - object, file system implementation
+// * root            - string, path of the directory
+// * fileFilter      - function, whether to emit an entry that's no directory
+// * directoryFilter - function, whether to emit a directory entry
+// * known           - function, optional, whether an entry is tracked with
+//                     the type of the fs.Dirent passed, to be left out
+
+// Returns stream-like event emitter of `data`, `end` and `error` events
+function readEntries(fs, root, fileFilter, directoryFilter, known) {
+  const stream = new EventEmitter();
+  let destroyed = false;
+  stream.destroy = function() {
+    destroyed = true;
+  };
+
+  // entry types come with the names from node's fs only
+  const readdir = known && fs === nodeFs ?
+    fs.readdir.bind(fs, root, {withFileTypes: true}) : fs.readdir.bind(fs, root);
+
+  fs.realpath(root, function(error, realRoot) {
+    if (destroyed) return;
+    if (error) return stream.emit('error', error);
+    readdir(function(error, dirents) {
+      if (destroyed) return;
+      const entries = [];
+      const names = error ? [] : dirents.filter(function(dirent) {
+        return typeof dirent === 'string' || !known(dirent.name, dirent);
+      }).map(function(dirent) {
+        return typeof dirent === 'string' ? dirent : dirent.name;
+      });
+      let pending = names.length;
+      const end = function() {
+        if (destroyed) return;
+        // directories first, as readdirp emits them
+        entries.filter((entry) => entry.stat.isDirectory() && directoryFilter(entry))
+          .concat(entries.filter((entry) => !entry.stat.isDirectory() && fileFilter(entry)))
+          .forEach(function(entry) {
+            if (!destroyed) stream.emit('data', entry);
+          });
+        if (!destroyed) stream.emit('end');
+      };
+      if (!pending) return end();
+
+      // a limited number of lstat calls at once
+      let index = 0;
+      const next = function() {
+        if (destroyed || index === names.length) return;
+        const name = names[index++];
+        const fullPath = sysPath.join(realRoot, name);
+        fs.lstat(fullPath, function(error, stat) {
+          // entries removed in the meantime are left out
+          if (!error) entries.push({
+            name: name,
+            path: name,
+            fullPath: fullPath,
+            parentDir: '',
+            fullParentDir: realRoot,
+            stat: stat
+          });
+          if (!--pending) return end();
+          next();
+        });
+      };
+      for (let i = 0; i < SCAN_CONCURRENCY; i++) next();
+    });
+  });
+  return stream;
+}
+
 // fs_watch helpers
 
 // object to hold per-process fs_watch instances
 // (may be shared across chokidar FSWatcher instances)
 const FsWatchInstances = Object.create(null);
 
+// fs_watch instances opened within a `maxNativeWatchers` budget, by key of
+// FsWatchInstances, from the least to the most recently active one; each one
+// holds the functions demoting the paths watched with it to slow polling
+const BudgetedFsWatchInstances = new Map();
+
+// interval of the polls of paths demoted from native watching, at least
+const DEMOTED_INTERVAL = 2000;
+
+// Private function: Counts a fs_watch instance towards the budget of the
+// process, demoting the least recently active ones beyond it
+
+// * key    - string, key of the fs_watch instance
+// * demote - function, demotes the path watched with it
+// * budget - number, maximum number of instances
+
+// Returns nothing
+function budgetFsWatchInstance(key, demote, budget) {
+  const demotes = BudgetedFsWatchInstances.get(key) || new Set();
+  demotes.add(demote);
+  BudgetedFsWatchInstances.delete(key);
+  BudgetedFsWatchInstances.set(key, demotes);
+  while (BudgetedFsWatchInstances.size > budget) {
+    const leastActive = BudgetedFsWatchInstances.keys().next().value;
+    const leastActiveDemotes = BudgetedFsWatchInstances.get(leastActive);
+    BudgetedFsWatchInstances.delete(leastActive);
+    leastActiveDemotes.forEach(function(demote) { demote(); });
+  }
+}
+
+// Private function: Marks a budgeted fs_watch instance as the most recently
+// active one
+
+// * key    - string, key of the fs_watch instance
+
+// Returns nothing
+function touchFsWatchInstance(key) {
+  const demotes = BudgetedFsWatchInstances.get(key);
+  if (!demotes) return;
+  BudgetedFsWatchInstances.delete(key);
+  BudgetedFsWatchInstances.set(key, demotes);
+}
+
+// Private function: Stops counting a path towards the budget of the process
+
+// * key    - string, key of the fs_watch instance
+// * demote - function, demotes the path watched with it
+
+// Returns nothing
+function unbudgetFsWatchInstance(key, demote) {
+  const demotes = BudgetedFsWatchInstances.get(key);
+  if (!demotes) return;
+  demotes.delete(demote);
+  if (!demotes.size) BudgetedFsWatchInstances.delete(key);
+}
+
 // Private function: Instantiates the fs_watch interface
 
+// * fs         - object, file system implementation
 // * path       - string, path to be watched
 // * options    - object, options to be passed to fs_watch
 // * listener   - function, main event handler
@@ -20,7 +197,7 @@ const FsWatchInstances = Object.create(null);
 // * emitRaw    - function, handler which emits raw event data
 
 // Returns new fsevents instance
-function createFsWatchInstance(path, options, listener, errHandler, emitRaw) {
+function createFsWatchInstance(fs, path, options, listener, errHandler, emitRaw) {
   const handleEvent = function(rawEvent, evPath) {
     listener(path);
     emitRaw(rawEvent, evPath, {watchedPath: path});
@@ -29,7 +206,7 @@ function createFsWatchInstance(path, options, listener, errHandler, emitRaw) {
     // case the file's watcher misses it (and rely on throttling to de-dupe)
     if (evPath && path !== evPath) {
       fsWatchBroadcast(
-        sysPath.resolve(path, evPath), 'listeners', sysPath.join(path, evPath)
+        instanceKey(fs, sysPath.resolve(path, evPath)), 'listeners', sysPath.join(path, evPath)
       );
     }
   };
@@ -43,14 +220,14 @@ function createFsWatchInstance(path, options, listener, errHandler, emitRaw) {
 // Private function: Helper for passing fs_watch event data to a
 // collection of listeners
 
-// * fullPath   - string, absolute path bound to the fs_watch instance
+// * key        - string, key of the fs_watch instance
 // * type       - string, listener type
 // * val[1..3]  - arguments to be passed to listeners
 
 // Returns nothing
-function fsWatchBroadcast(fullPath, type, val1, val2, val3) {
-  if (!FsWatchInstances[fullPath]) return;
-  FsWatchInstances[fullPath][type].forEach(function(listener) {
+function fsWatchBroadcast(key, type, val1, val2, val3) {
+  if (!FsWatchInstances[key]) return;
+  FsWatchInstances[key][type].forEach(function(listener) {
     listener(val1, val2, val3);
   });
 }
@@ -58,48 +235,53 @@ function fsWatchBroadcast(fullPath, type, val1, val2, val3) {
 // Private function: Instantiates the fs_watch interface or binds listeners
 // to an existing one covering the same file system entry
 
+// * fs         - object, file system implementation
 // * path       - string, path to be watched
 // * fullPath   - string, absolute path
 // * options    - object, options to be passed to fs_watch
-// * handlers   - object, container for event listener functions
+// * handlers   - object, container for event listener functions; the error
+//                handler is told whether the watcher became unusable
 
 // Returns close function
-function setFsWatchListener(path, fullPath, options, handlers) {
+function setFsWatchListener(fs, path, fullPath, options, handlers) {
   const listener = handlers.listener;
   const errHandler = handlers.errHandler;
   const rawEmitter = handlers.rawEmitter;
-  let container = FsWatchInstances[fullPath];
+  const key = instanceKey(fs, fullPath);
+  let container = FsWatchInstances[key];
   let watcher;
   if (!options.persistent) {
     watcher = createFsWatchInstance(
-      path, options, listener, errHandler, rawEmitter
+      fs, path, options, listener, errHandler, rawEmitter
     );
+    if (!watcher) return;
     return watcher.close.bind(watcher);
   }
   if (!container) {
     watcher = createFsWatchInstance(
+      fs,
       path,
       options,
-      fsWatchBroadcast.bind(null, fullPath, 'listeners'),
+      fsWatchBroadcast.bind(null, key, 'listeners'),
       errHandler, // no need to use broadcast here
-      fsWatchBroadcast.bind(null, fullPath, 'rawEmitters')
+      fsWatchBroadcast.bind(null, key, 'rawEmitters')
     );
     if (!watcher) return;
-    const broadcastErr = fsWatchBroadcast.bind(null, fullPath, 'errHandlers');
+    const broadcastErr = fsWatchBroadcast.bind(null, key, 'errHandlers');
     watcher.on('error', function(error) {
       container.watcherUnusable = true; // documented since Node 10.4.1
       // Workaround for https://github.com/joyent/node/issues/4337
       if (process.platform === 'win32' && error.code === 'EPERM') {
         fs.open(path, 'r', function(err, fd) {
           if (!err) fs.close(fd, function(err) {
-            if (!err) broadcastErr(error);
+            if (!err) broadcastErr(error, true);
           });
         });
       } else {
-        broadcastErr(error);
+        broadcastErr(error, true);
       }
     });
-    container = FsWatchInstances[fullPath] = {
+    container = FsWatchInstances[key] = {
       listeners: [listener],
       errHandlers: [errHandler],
       rawEmitters: [rawEmitter],
@@ -122,31 +304,112 @@ function setFsWatchListener(path, fullPath, options, handlers) {
       if (!container.watcherUnusable) { // check to protect against issue #730
         container.watcher.close();
       }
-      delete FsWatchInstances[fullPath];
+      delete FsWatchInstances[key];
     }
   };
 }
 
+// recursive fs_watch is ignored on Linux before Node.js 14 and throws before 19.1
+const nodeVersion = process.versions.node.split('.').map(Number);
+const recursiveWatchAvailable = process.platform === 'darwin' ||
+  process.platform === 'win32' || process.platform === 'linux' &&
+  (nodeVersion[0] > 19 || nodeVersion[0] === 19 && nodeVersion[1] >= 1);
+
+// error codes of native watchers that polling can stand in for
+const FALLBACK_CODES = ['ENOSPC', 'EMFILE', 'ENFILE', 'EPERM'];
+
+// Private function: Names the limit hit in errors of running out of native
+// watchers, which are hard to tell apart otherwise
+
+// * error - object, error of fs_watch
+
+// Returns the error
+function describeLimit(error) {
+  let limit;
+  if (process.platform === 'linux' && error.code === 'ENOSPC') {
+    limit = 'the inotify watch limit (fs.inotify.max_user_watches)';
+  } else if (process.platform === 'linux' && error.code === 'EMFILE') {
+    limit = 'the inotify instance limit (fs.inotify.max_user_instances) or the open file limit';
+  } else if (error.code === 'EMFILE' || error.code === 'ENFILE') {
+    limit = 'the open file limit';
+  }
+  if (limit && !error.limit) {
+    error.limit = limit;
+    error.message += ' (reached ' + limit + ')';
+  }
+  return error;
+}
+
 // fs_watchFile helpers
 
 // object to hold per-process fs_watchFile instances
 // (may be shared across chokidar FSWatcher instances)
 const FsWatchFileInstances = Object.create(null);
 
+// number of polls without changes after which adaptive polling backs off
+const BACKOFF_POLLS = 10;
+
+// Private function: Re-registers an adaptively polled fs_watchFile instance,
+// clamping the interval to its bounds and scheduling the next back-off
+
+// * container - object, the fs_watchFile instance's listeners and options
+// * fullPath  - string, absolute path
+// * interval  - number, polling interval to use from now on
+
+// Returns nothing
+function setPollingInterval(container, fullPath, interval) {
+  const options = container.options;
+  interval = Math.min(Math.max(interval, options.minInterval), options.maxInterval);
+  clearTimeout(container.backoff);
+  if (interval !== container.interval) {
+    const reregister = Boolean(container.watcher);
+    if (reregister) container.fs.unwatchFile(fullPath, container.onChange);
+    container.interval = interval;
+    const watcher = container.watcher = container.fs.watchFile(fullPath, {
+      persistent: options.persistent,
+      interval: interval
+    }, container.onChange);
+    // the new instance takes its own baseline, so changes made since the
+    // last poll only show up against the stats kept in the container
+    if (reregister && container.stats) {
+      container.fs.stat(fullPath, function(error, curr) {
+        if (error || container.watcher !== watcher) return;
+        const prev = container.stats;
+        if (
+          curr.size !== prev.size ||
+          curr.mtime.getTime() !== prev.mtime.getTime() ||
+          curr.ctime.getTime() !== prev.ctime.getTime()
+        ) container.onChange(curr, prev);
+      });
+    }
+  }
+  if (interval < options.maxInterval) {
+    container.backoff = setTimeout(function() {
+      setPollingInterval(container, fullPath, interval * 2);
+    }, interval * BACKOFF_POLLS);
+    container.backoff.unref();
+  }
+}
+
 // Private function: Instantiates the fs_watchFile interface or binds listeners
 // to an existing one covering the same file system entry
 
+// * fs         - object, file system implementation
 // * path       - string, path to be watched
 // * fullPath   - string, absolute path
 // * options    - object, options to be passed to fs_watchFile
 // * handlers   - object, container for event listener functions
+// * stats      - object, result of fs_stat to compare later polls with
 
 // Returns close function
-function setFsWatchFileListener(path, fullPath, options, handlers) {
+function setFsWatchFileListener(fs, path, fullPath, options, handlers, stats) {
   const listener = handlers.listener;
+  const attribListener = handlers.attribListener;
   const rawEmitter = handlers.rawEmitter;
-  let container = FsWatchFileInstances[fullPath];
+  const key = instanceKey(fs, fullPath);
+  let container = FsWatchFileInstances[key];
   let listeners = [];
+  let attribListeners = [];
   let rawEmitters = [];
   if (
     container && (
@@ -159,31 +422,54 @@ function setFsWatchFileListener(path, fullPath, options, handlers) {
     // settings in a very weird way, but solving for those cases
     // doesn't seem worthwhile for the added complexity.
     listeners = container.listeners;
+    attribListeners = container.attribListeners;
     rawEmitters = container.rawEmitters;
+    stats = container.stats || stats;
+    clearTimeout(container.backoff);
     fs.unwatchFile(fullPath);
     container = false;
   }
   if (!container) {
     listeners.push(listener);
+    attribListeners.push(attribListener);
     rawEmitters.push(rawEmitter);
-    container = FsWatchFileInstances[fullPath] = {
+    container = FsWatchFileInstances[key] = {
+      fs: fs,
       listeners: listeners,
+      attribListeners: attribListeners,
       rawEmitters: rawEmitters,
       options: options,
-      watcher: fs.watchFile(fullPath, options, function(curr, prev) {
+      stats: stats,
+      onChange: function(curr, prev) {
+        // compare against the stats seen last, which outlive re-registering
+        if (container.stats) prev = container.stats;
+        container.stats = curr;
         container.rawEmitters.forEach(function(rawEmitter) {
           rawEmitter('change', fullPath, {curr: curr, prev: prev});
         });
+        // poll recently changed entries quickly again
+        if (options.maxInterval) setPollingInterval(container, fullPath, options.minInterval);
         const currmtime = curr.mtime.getTime();
         if (curr.size !== prev.size || currmtime > prev.mtime.getTime() || currmtime === 0) {
           container.listeners.forEach(function(listener) {
             listener(path, curr);
           });
+        } else if (curr.ctime.getTime() !== prev.ctime.getTime()) {
+          // metadata changes only matter to instances emitting `attrib`
+          container.attribListeners.forEach(function(listener) {
+            if (listener) listener(path, curr);
+          });
         }
-      })
+      }
     };
+    if (options.maxInterval) {
+      setPollingInterval(container, fullPath, options.interval);
+    } else {
+      container.watcher = fs.watchFile(fullPath, options, container.onChange);
+    }
   } else {
     container.listeners.push(listener);
+    container.attribListeners.push(attribListener);
     container.rawEmitters.push(rawEmitter);
   }
   const listenerIndex = container.listeners.length - 1;
@@ -192,10 +478,291 @@ function setFsWatchFileListener(path, fullPath, options, handlers) {
   // instance if there are no more listeners left
   return function close() {
     delete container.listeners[listenerIndex];
+    delete container.attribListeners[listenerIndex];
     delete container.rawEmitters[listenerIndex];
     if (!Object.keys(container.listeners).length) {
+      clearTimeout(container.backoff);
       fs.unwatchFile(fullPath);
-      delete FsWatchFileInstances[fullPath];
+      delete FsWatchFileInstances[key];
+    }
+  };
+}
+
+// directory scan helpers (`usePolling: 'scan'`)
+
+// object to hold per-process scanned directories, with the files in them that
+// are watched, all polled on one schedule
+// (may be shared across chokidar FSWatcher instances)
+const ScanInstances = Object.create(null);
+
+// maximum number of fs calls a scan makes at once
+const SCAN_CONCURRENCY = 16;
+
+// timer of the next scan, its period and whether a scan is running
+let scanTimer;
+let scanTick = Infinity;
+let scanning = false;
+
+// Private function: Lists the watched entries of a scanned directory
+
+// * container - object, scanned directory
+
+// Returns array of the directory itself, if watched, and its watched files
+function scannedEntries(container) {
+  const entries = Object.keys(container.files).map(function(name) {
+    return container.files[name];
+  });
+  return container.dir ? entries.concat(container.dir) : entries;
+}
+
+// Private function: Reads the directories that are due and stats the files
+// in them that are due, a few at a time, then schedules the next scan
+
+// Returns nothing
+function scan() {
+  const now = Date.now();
+  let persistent = false;
+  const tasks = Object.keys(ScanInstances).filter(function(key) {
+    const entries = scannedEntries(ScanInstances[key]);
+    persistent = persistent || entries.some(function(entry) {
+      return entry.options.persistent;
+    });
+    return entries.some(function(entry) {
+      return entry.due <= now;
+    });
+  }).map(function(key) {
+    return function(done) {
+      scanDirectory(key, tasks, done);
+    };
+  });
+  scanTimer = undefined;
+  scanning = true;
+
+  let running = 0;
+  const scanned = function() {
+    running--;
+    next();
+  };
+  const next = function() {
+    if (!tasks.length && !running) {
+      scanning = false;
+      if (Object.keys(ScanInstances).length) {
+        scanTimer = setTimeout(scan, scanTick);
+        if (!persistent) scanTimer.unref();
+      }
+      return;
+    }
+    while (running < SCAN_CONCURRENCY && tasks.length) {
+      running++;
+      tasks.shift()(scanned);
+    }
+  };
+  next();
+}
+
+// Private function: Notifies the listeners of a scanned entry the way
+// fs_watchFile would when it changed, and schedules its next poll
+
+// * entry   - object, scanned directory or file
+// * curr    - object, current stats, null if the entry is gone
+// * prev    - object, previous stats
+// * changed - boolean, whether the entry changed
+
+// Returns nothing
+function settleScanned(entry, curr, prev, changed) {
+  const options = entry.options;
+  if (changed) {
+    entry.rawEmitters.forEach(function(rawEmitter) {
+      rawEmitter('change', entry.fullPath, {curr: curr, prev: prev});
+    });
+    entry.listeners.forEach(function(listener) {
+      listener(entry.path, curr || undefined);
+    });
+  }
+
+  // adapt the interval like adaptively polled fs_watchFile instances do
+  if (options.maxInterval) {
+    entry.unchanged = changed ? 0 : entry.unchanged + 1;
+    if (changed) {
+      entry.interval = options.minInterval;
+    } else if (entry.unchanged >= BACKOFF_POLLS) {
+      entry.unchanged = 0;
+      entry.interval = Math.min(entry.interval * 2, options.maxInterval);
+    }
+  }
+  entry.due = Date.now() + entry.interval;
+}
+
+// Private function: Compares a scanned entry with the stats and names it had
+
+// * entry    - object, scanned directory or file
+// * curr     - object, current stats, null if the entry is gone
+// * names    - string, sorted names of the entries of a directory
+
+// Returns nothing
+function compareScanned(entry, curr, names) {
+  const prev = entry.stats;
+  const prevNames = entry.names;
+  let changed = false;
+  entry.stats = curr;
+  entry.names = names;
+  if (prev === undefined) {
+    // first poll only takes the baseline
+  } else if (!curr || !prev) {
+    // removed directories are reported by scans of their parents
+    changed = !!curr || !!prev && !prev.isDirectory();
+  } else {
+    changed = curr.size !== prev.size || curr.mtime.getTime() > prev.mtime.getTime() ||
+      !!prevNames && names !== prevNames;
+    if (!changed && curr.ctime.getTime() !== prev.ctime.getTime()) {
+      // metadata changes only matter to instances emitting `attrib`
+      entry.attribListeners.forEach(function(listener) {
+        if (listener) listener(entry.path, curr);
+      });
+    }
+  }
+  settleScanned(entry, curr, prev, changed);
+}
+
+// Private function: Stats and reads a scanned directory once, if it is
+// watched and due, and queues a stat of each file in it that is due and
+// still there
+
+// * key      - string, key of the scanned directory
+// * tasks    - array, queue of the scan to add the stat calls to
+// * done     - function, called when the directory has been read
+
+// Returns nothing
+function scanDirectory(key, tasks, done) {
+  const container = ScanInstances[key];
+  if (!container) return process.nextTick(done);
+  const fs = container.fs;
+  const now = Date.now();
+  const dir = container.dir && container.dir.due <= now ? container.dir : undefined;
+  const files = Object.keys(container.files).filter(function(name) {
+    return container.files[name].due <= now;
+  });
+
+  // * names - array, names in the directory, if it was read
+  const statFiles = function(names) {
+    const present = names && new Set(names);
+    files.forEach(function(name) {
+      const file = container.files[name];
+      if (!file) return;
+      // files no longer in the directory need no stat to tell
+      if (present && !present.has(name)) return compareScanned(file, null);
+      tasks.push(function(done) {
+        fs.stat(file.fullPath, function(error, curr) {
+          if (container.files[name] === file) compareScanned(file, error ? null : curr);
+          done();
+        });
+      });
+    });
+    done();
+  };
+  if (!dir) return statFiles();
+
+  fs.stat(container.fullPath, function(error, curr) {
+    if (ScanInstances[key] !== container) return done();
+    if (error) {
+      if (container.dir === dir) compareScanned(dir, null, dir.names);
+      const gone = error.code === 'ENOENT' || error.code === 'ENOTDIR';
+      return statFiles(gone ? [] : undefined);
+    }
+    fs.readdir(container.fullPath, function(error, names) {
+      if (ScanInstances[key] !== container) return done();
+      if (!error) names.sort();
+      if (container.dir === dir) {
+        compareScanned(dir, curr, error ? dir.names : names.join(sysPath.sep));
+      }
+      statFiles(error ? undefined : names);
+    });
+  });
+}
+
+// Private function: Adds an entry to the shared scan, as the directory it is
+// or as a file of the directory it is in, or binds listeners to one covering
+// the same file system entry
+
+// * fs         - object, file system implementation
+// * path       - string, path to be watched
+// * fullPath   - string, absolute path
+// * options    - object, `persistent` and intervals, like for fs_watchFile
+// * handlers   - object, container for event listener functions
+// * stats      - object, result of fs_stat to compare the first poll with
+
+// Returns close function
+function setScanListener(fs, path, fullPath, options, handlers, stats) {
+  const isDir = !!stats && stats.isDirectory();
+  const dirPath = isDir ? fullPath : sysPath.dirname(fullPath);
+  const name = sysPath.basename(fullPath);
+  const key = instanceKey(fs, dirPath);
+  let container = ScanInstances[key];
+  if (!container) {
+    container = ScanInstances[key] = {
+      fs: fs,
+      fullPath: dirPath,
+      dir: undefined,
+      files: Object.create(null)
+    };
+  }
+  let entry = isDir ? container.dir : container.files[name];
+  if (!entry) {
+    const interval = options.maxInterval ?
+      Math.min(Math.max(options.interval, options.minInterval), options.maxInterval) :
+      options.interval;
+    entry = {
+      path: path,
+      fullPath: fullPath,
+      listeners: [],
+      attribListeners: [],
+      rawEmitters: [],
+      options: options,
+      stats: stats,
+      names: undefined,
+      interval: interval,
+      unchanged: 0,
+      due: Date.now() + interval
+    };
+    if (isDir) container.dir = entry;
+    else container.files[name] = entry;
+    scanTick = Math.min(scanTick, options.minInterval || interval);
+    if (!scanTimer && !scanning) {
+      scanTimer = setTimeout(scan, scanTick);
+      if (!options.persistent) scanTimer.unref();
+    }
+  } else if (
+    entry.options.persistent < options.persistent ||
+    entry.options.interval > options.interval
+  ) {
+    // "Upgrade" the entry to persistence or a quicker interval.
+    entry.options = options;
+    entry.interval = Math.min(entry.interval, options.interval);
+    scanTick = Math.min(scanTick, options.interval);
+  }
+  entry.listeners.push(handlers.listener);
+  entry.attribListeners.push(handlers.attribListener);
+  entry.rawEmitters.push(handlers.rawEmitter);
+  const listenerIndex = entry.listeners.length - 1;
+
+  // removes this instance's listeners and drops the entry from the scan if
+  // there are no more listeners left
+  return function close() {
+    delete entry.listeners[listenerIndex];
+    delete entry.attribListeners[listenerIndex];
+    delete entry.rawEmitters[listenerIndex];
+    if (Object.keys(entry.listeners).length) return;
+    if (isDir) {
+      if (container.dir === entry) container.dir = undefined;
+    } else if (container.files[name] === entry) {
+      delete container.files[name];
+    }
+    if (container.dir || Object.keys(container.files).length) return;
+    if (ScanInstances[key] === container) delete ScanInstances[key];
+    if (!Object.keys(ScanInstances).length) {
+      clearTimeout(scanTimer);
+      scanTimer = undefined;
+      scanTick = Infinity;
     }
   };
 }
@@ -208,33 +775,211 @@ const NodeFsHandler = {
 
 // * path     - string, path to file or directory.
 // * listener - function, to be executed on fs change.
+// * stats    - object, result of fs_stat when starting to watch
 
 // Returns close function for the watcher instance
-_watchWithNodeFs(path, listener) {
+_watchWithNodeFs(path, listener, stats) {
   const directory = sysPath.dirname(path);
   const basename = sysPath.basename(path);
   const parent = this._getWatchedDir(directory);
   parent.add(basename);
   const absolutePath = sysPath.resolve(path);
   const options = {persistent: this.options.persistent};
+  const opts = this._optionsFor(path);
   if (!listener) listener = Function.prototype; // empty function
 
-  let closer;
-  if (this.options.usePolling) {
-    options.interval = this.enableBinaryInterval && isBinaryPath(basename) ?
-      this.options.binaryInterval : this.options.interval;
-    closer = setFsWatchFileListener(path, absolutePath, options, {
+  // paths demoted from native watching are polled slowly until they change
+  const poll = function(demoted) {
+    const options = {persistent: this.options.persistent};
+    const enableBinaryInterval = opts.binaryInterval !== opts.interval;
+    options.interval = enableBinaryInterval && isBinaryPath(basename) ?
+      opts.binaryInterval : opts.interval;
+    if (demoted) {
+      options.interval = Math.max(
+        DEMOTED_INTERVAL, opts.interval, opts.binaryInterval, opts.maxInterval || 0
+      );
+    } else if (opts.maxInterval) {
+      // back off from the interval for entries that stay the same
+      options.minInterval = Math.min(opts.minInterval || options.interval, opts.maxInterval);
+      options.maxInterval = opts.maxInterval;
+    }
+    const handlers = {
+      listener: demoted ? function(changedPath, newStats) {
+        if (closer) closer();
+        watchNatively();
+        listener(changedPath, newStats);
+      } : listener,
+      attribListener: this.options.attrib ? listener : undefined,
+      rawEmitter: this.emit.bind(this, 'raw')
+    };
+    return opts.usePolling === 'scan' ?
+      setScanListener(this.options.fs, path, absolutePath, options, handlers, stats) :
+      setFsWatchFileListener(this.options.fs, path, absolutePath, options, handlers, stats);
+  }.bind(this);
+
+  if (opts.usePolling) return poll();
+  if (this.options.useRecursiveWatch) {
+    const recursiveCloser = this._watchRecursively(path, absolutePath, listener, stats);
+    if (recursiveCloser) return recursiveCloser;
+  }
+  const fallbackToPolling = this.options.fallbackToPolling;
+  const budget = this.options.maxNativeWatchers;
+  if (!fallbackToPolling && !budget) {
+    return setFsWatchListener(this.options.fs, path, absolutePath, options, {
       listener: listener,
+      errHandler: function(error) {
+        this._handleError(describeLimit(error));
+      }.bind(this),
       rawEmitter: this.emit.bind(this, 'raw')
     });
-  } else {
-    closer = setFsWatchListener(path, absolutePath, options, {
-      listener: listener,
-      errHandler: this._handleError.bind(this),
+  }
+
+  // poll the path instead for good once its native watcher fails, or while
+  // it is among the least recently active ones over the budget
+  const key = instanceKey(this.options.fs, absolutePath);
+  let closer;
+  const demote = function() {
+    unbudgetFsWatchInstance(key, demote);
+    if (closer) closer();
+    closer = poll(true);
+  }.bind(this);
+  const watchNatively = function() {
+    let fellBack = false;
+    const nativeCloser = setFsWatchListener(this.options.fs, path, absolutePath, options, {
+      listener: function(changedPath, newStats) {
+        touchFsWatchInstance(key);
+        listener(changedPath, newStats);
+      },
+      errHandler: function(error, unusable) {
+        if (fellBack) return;
+        if (
+          !fallbackToPolling ||
+          !unusable && FALLBACK_CODES.indexOf(error.code) === -1
+        ) {
+          return this._handleError(describeLimit(error));
+        }
+        fellBack = true;
+        unbudgetFsWatchInstance(key, demote);
+        if (closer) closer();
+        closer = poll();
+        const cwd = this.options.cwd;
+        this.emit('fallback', cwd ? sysPath.relative(cwd, path) : path, describeLimit(error));
+      }.bind(this),
       rawEmitter: this.emit.bind(this, 'raw')
     });
+    if (fellBack) return;
+    closer = nativeCloser;
+    if (budget) budgetFsWatchInstance(key, demote, budget);
+  }.bind(this);
+
+  watchNatively();
+  return function() {
+    unbudgetFsWatchInstance(key, demote);
+    if (closer) closer();
+  };
+},
+
+// Private method: Watch a path with the recursive fs_watch of the root it is
+// in, opening one for a directory that is not in any.
+
+// * path         - string, path to file or directory
+// * absolutePath - string, absolute path
+// * listener     - function, to be executed on fs change
+// * stats        - object, result of fs_stat when starting to watch
+
+// Returns close function, or nothing when the path needs its own watcher
+_watchRecursively(path, absolutePath, listener, stats) {
+  const followed = absolutePath in this._symlinkPaths;
+  let root;
+  if (!followed) {
+    // the innermost root, as the contents of followed symlinks are roots too
+    Object.keys(this._recursiveWatchers).forEach(function(watchedRoot) {
+      if (
+        (absolutePath === watchedRoot || absolutePath.startsWith(watchedRoot + sysPath.sep)) &&
+        (!root || watchedRoot.length > root.length)
+      ) root = watchedRoot;
+    });
   }
-  return closer;
+  if (!root) {
+    if (!recursiveWatchAvailable || !stats || !stats.isDirectory()) return;
+    let watcher;
+    try {
+      watcher = this.options.fs.watch(absolutePath, {
+        persistent: this.options.persistent,
+        recursive: true
+      }, function(rawEvent, evPath) {
+        this.emit('raw', rawEvent, evPath, {watchedPath: path});
+        this._handleRecursiveEvent(absolutePath, path, rawEvent, evPath);
+      }.bind(this));
+    } catch (error) {
+      this._handleError(error);
+      return;
+    }
+    watcher.on('error', this._handleError.bind(this));
+    root = absolutePath;
+    this._recursiveWatchers[root] = {watcher: watcher, count: 0};
+  }
+
+  const recursiveWatcher = this._recursiveWatchers[root];
+  const listeners = this._recursiveListeners[absolutePath] || [];
+  this._recursiveListeners[absolutePath] = listeners;
+  listeners.push(listener);
+  recursiveWatcher.count++;
+
+  // removes the listener and closes the root's fs_watch instance if there
+  // are no more listeners left under it
+  return function() {
+    listeners.splice(listeners.indexOf(listener), 1);
+    if (!listeners.length && this._recursiveListeners[absolutePath] === listeners) {
+      delete this._recursiveListeners[absolutePath];
+    }
+    if (--recursiveWatcher.count) return;
+    recursiveWatcher.watcher.close();
+    delete this._recursiveWatchers[root];
+  }.bind(this);
+},
+
+// Private method: Passes an event of a recursive fs_watch instance on to the
+// listeners of the entry and of the closest watched directory containing it
+
+// * root     - string, absolute path of the watched root
+// * rootPath - string, path of the root as it is watched
+// * rawEvent - string, `rename` or `change`
+// * evPath   - string, path of the entry relative to the root, if known
+
+// Returns nothing
+_handleRecursiveEvent(root, rootPath, rawEvent, evPath) {
+  const listeners = this._recursiveListeners;
+  const notify = function(fullPath, path) {
+    listeners[fullPath].slice().forEach(function(listener) {
+      listener(path);
+    });
+  };
+
+  // without a file name, rescan every watched directory under the root
+  if (!evPath) {
+    Object.keys(listeners).forEach(function(fullPath) {
+      if (
+        (fullPath === root || fullPath.startsWith(root + sysPath.sep)) &&
+        fullPath in this._watched
+      ) notify(fullPath, sysPath.join(rootPath, sysPath.relative(root, fullPath)));
+    }, this);
+    return;
+  }
+
+  let fullPath = sysPath.join(root, evPath);
+  let path = sysPath.join(rootPath, evPath);
+  if (this._isIgnored(path)) return;
+  const known = !!listeners[fullPath];
+  if (known) notify(fullPath, path);
+  if (known && rawEvent === 'change') return;
+
+  // entries were added, removed or renamed in the directory
+  do {
+    fullPath = sysPath.dirname(fullPath);
+    path = sysPath.dirname(path);
+  } while (!listeners[fullPath] && fullPath.startsWith(root + sysPath.sep));
+  if (listeners[fullPath]) notify(fullPath, path);
 },
 
 // Private method: Watch a file and emit add event if warranted
@@ -254,41 +999,58 @@ _handleFile(file, stats, initialAdd, callback) {
 
   // if the file is already being watched, do nothing
   if (parent.has(basename)) return callback();
+  this._setStats(file, stats);
+  this._startTail(file, stats);
+
+  const emitChange = function(newStats) {
+    const details = changeDetails(prevStats, newStats);
+    if (
+      this.options.attrib && details.changeType === 'metadata' &&
+      attribChanged(prevStats, newStats)
+    ) {
+      this._emit('attrib', file, newStats, details);
+    } else {
+      // Check that change event was not fired because of changed only accessTime.
+      const at = newStats.atime.getTime();
+      const mt = newStats.mtime.getTime();
+      if (!at || at <= mt || mt !== prevStats.mtime.getTime()) {
+        this._emit('change', file, newStats, details);
+      }
+    }
+    prevStats = newStats;
+    this._setStats(file, newStats);
+  }.bind(this);
 
   // kick off the watcher
   const closer = this._watchWithNodeFs(file, function(path, newStats) {
     if (!this._throttle('watch', file, 5)) return;
     if (!newStats || newStats && newStats.mtime.getTime() === 0) {
-      fs.stat(file, function(error, newStats) {
+      this.options.fs.stat(file, function(error, newStats) {
         // Fix issues where mtime is null but file is still present
         if (error) {
           this._remove(dirname, basename);
         } else {
-          // Check that change event was not fired because of changed only accessTime.
-          const at = newStats.atime.getTime();
-          const mt = newStats.mtime.getTime();
-          if (!at || at <= mt || mt !== prevStats.mtime.getTime()) {
-            this._emit('change', file, newStats);
-          }
-          prevStats = newStats;
+          emitChange(newStats);
         }
       }.bind(this));
     // add is about to be emitted if file not already tracked in parent
     } else if (parent.has(basename)) {
-      // Check that change event was not fired because of changed only accessTime.
-      const at = newStats.atime.getTime();
-      const mt = newStats.mtime.getTime();
-      if (!at || at <= mt ||  mt !== prevStats.mtime.getTime()) {
-        this._emit('change', file, newStats);
-      }
-      prevStats = newStats;
+      emitChange(newStats);
     }
-  }.bind(this));
+  }.bind(this), stats);
 
   // emit an add event if we're supposed to
   if (!(initialAdd && this.options.ignoreInitial)) {
     if (!this._throttle('add', file, 0)) return;
     this._emit('add', file, stats);
+    // a listener may have closed the watcher, which knows nothing of ours yet
+    if (this.closed) {
+      if (closer) closer();
+      return;
+    }
+  } else if (this._digests) {
+    // remember the contents of files present before the watcher started
+    this._hashFile(file, stats, Function.prototype);
   }
 
   if (callback) callback();
@@ -301,34 +1063,125 @@ _handleFile(file, stats, initialAdd, callback) {
 // * directory  - string, path of the directory being read
 // * path       - string, path of this item
 // * item       - string, basename of this item
+// * follow     - function, processes the entry as the path it leads to
 
 // Returns true if no more processing is needed for this entry.
-_handleSymlink(entry, directory, path, item) {
+_handleSymlink(entry, directory, path, item, follow) {
   const full = entry.fullPath;
   const dir = this._getWatchedDir(directory);
+  const followSymlinks = this._optionsFor(path).followSymlinks;
+  const confined = followSymlinks === 'within-roots' || this.options.allowedRoots;
+  if (followSymlinks && !confined) return this._followSymlink(directory, path, item, full);
+
+  // watch symlink directly (don't follow) and detect changes, unless
+  // following is confined to roots it leads into
+  this._readyCount++;
+  this.options.fs.realpath(path, function(error, linkPath) {
+    const prevPath = this._symlinkTargets[full];
+    const within = !!followSymlinks && !error && this._isWithinRoots(linkPath);
+    if (dir.has(item) && within !== (full in this._symlinkPaths)) {
+      // switching between being followed and being a plain entry
+      this._emit('symlinkChange', path, prevPath, linkPath);
+      delete this._symlinkPaths[full];
+      this._remove(directory, item);
+    }
 
-  if (!this.options.followSymlinks) {
-    // watch symlink directly (don't follow) and detect changes
-    this._readyCount++;
-    fs.realpath(path, function(error, linkPath) {
-      if (dir.has(item)) {
-        if (this._symlinkPaths[full] !== linkPath) {
-          this._symlinkPaths[full] = linkPath;
-          this._emit('change', path, entry.stat);
-        }
-      } else {
-        dir.add(item);
-        this._symlinkPaths[full] = linkPath;
-        this._emit('add', path, entry.stat);
+    if (within) {
+      if (!this._followSymlink(directory, path, item, full, linkPath)) follow();
+    } else if (dir.has(item)) {
+      if (prevPath !== linkPath) {
+        this._symlinkTargets[full] = linkPath;
+        this._emit('change', path, entry.stat);
+        this._emit('symlinkChange', path, prevPath, linkPath);
       }
-      this._emitReady();
-    }.bind(this));
+    } else {
+      if (followSymlinks && !error) {
+        const cwd = this.options.cwd;
+        this.emit('symlinkOutsideRoot', cwd ? sysPath.relative(cwd, path) : path, linkPath);
+      }
+      dir.add(item);
+      this._symlinkTargets[full] = linkPath;
+      this._emit('add', path, entry.stat);
+    }
+    this._emitReady();
+  }.bind(this));
+  return true;
+},
+
+// Private method: Follow a symlink encountered while reading a dir, once
+
+// * directory  - string, path of the directory being read
+// * path       - string, path of the symlink
+// * item       - string, basename of the symlink
+// * full       - string, absolute path of the symlink
+// * targetPath - string, real path of the symlink, if already known
+
+// Returns true if no more processing is needed for this entry.
+_followSymlink(directory, path, item, full, targetPath) {
+  const dir = this._getWatchedDir(directory);
+
+  // don't follow the same symlink more than once
+  const followedPath = this._symlinkPaths[full];
+  if (followedPath) {
+    if (followedPath === path) {
+      if (dir.has(item)) this._checkSymlinkTarget(directory, item, full);
+    } else if (
+      path.startsWith(followedPath + sysPath.sep) && !this._symlinkLoops[path]
+    ) {
+      // reached again through itself, maybe by way of other symlinks
+      this._symlinkLoops[path] = true;
+      const followed = Object.keys(this._symlinkPaths).map(function(key) {
+        return this._symlinkPaths[key];
+      }, this);
+      const chain = [path];
+      let parent = sysPath.dirname(path);
+      while (parent.length > followedPath.length) {
+        if (followed.indexOf(parent) !== -1) chain.unshift(parent);
+        parent = sysPath.dirname(parent);
+      }
+      chain.unshift(followedPath);
+      const error = new Error('Symbolic link loop: ' + chain.join(' -> '));
+      error.code = 'ELOOP';
+      error.path = path;
+      error.chain = chain;
+      // only a warning, which mustn't crash processes not listening for errors
+      if (this.listenerCount('error')) this._handleError(error);
+    }
     return true;
   }
+  this._symlinkPaths[full] = path;
+  if (targetPath) {
+    this._symlinkTargets[full] = targetPath;
+    return;
+  }
+  this.options.fs.realpath(path, function(error, targetPath) {
+    if (!error) this._symlinkTargets[full] = targetPath;
+  }.bind(this));
+},
 
-  // don't follow the same symlink more than once
-  if (this._symlinkPaths[full]) return true;
-  else this._symlinkPaths[full] = true;
+// Private method: Check whether a followed symlink now points elsewhere, and
+// if so, emit `symlinkChange` and scan it again from its new target
+
+// * directory  - string, directory containing the symlink
+// * item       - string, basename of the symlink
+// * full       - string, absolute path of the symlink
+
+// Returns nothing
+_checkSymlinkTarget(directory, item, full) {
+  const path = sysPath.join(directory, item);
+  this.options.fs.realpath(path, function(error, targetPath) {
+    const prevPath = this._symlinkTargets[full];
+    if (error || this.closed || !prevPath || prevPath === targetPath) return;
+    this._symlinkTargets[full] = targetPath;
+    this._emit('symlinkChange', path, prevPath, targetPath);
+
+    // drop what was found through the old target, then read the directory
+    // again to follow the symlink as a new entry
+    delete this._symlinkPaths[full];
+    this._remove(directory, item);
+    const rescan = this._rescanners[sysPath.resolve(directory)];
+    if (rescan) rescan();
+  }.bind(this));
 },
 
 // Private method: Read directory to add / remove files from `@watched` list
@@ -346,54 +1199,107 @@ _handleSymlink(entry, directory, path, item) {
 _handleDir(dir, stats, initialAdd, depth, target, wh, callback) {
   const parentDir = this._getWatchedDir(sysPath.dirname(dir));
   const tracked = parentDir.has(sysPath.basename(dir));
+  this._setStats(dir, stats);
   if (!(initialAdd && this.options.ignoreInitial) && !target && !tracked) {
     if (!wh.hasGlob || wh.globFilter(dir)) this._emit('addDir', dir, stats);
+    // don't start watching if a listener closed the watcher
+    if (this.closed) return;
   }
 
   // ensure dir is tracked (harmless if redundant)
   parentDir.add(sysPath.basename(dir));
   this._getWatchedDir(dir);
   let throttler;
+  let prevStats = stats;
+  let unwatched = false;
+
+  const checkAttrib = function(newStats) {
+    if (!newStats) {
+      this.options.fs.stat(dir, function(error, newStats) {
+        if (!error) checkAttrib(newStats);
+      });
+      return;
+    }
+    const details = changeDetails(prevStats, newStats);
+    prevStats = newStats;
+    if (details.changeType === 'metadata' && attribChanged(details.prevStats, newStats)) {
+      this._emit('attrib', dir, newStats, details);
+    }
+  }.bind(this);
 
   const read = function(directory, initialAdd, done) {
     // Normalize the directory name on Windows
     directory = sysPath.join(directory, '');
 
+    // the rules of its ignore files apply to the entries about to be read
+    const fullDir = sysPath.resolve(directory);
+    if (this._ignoreFileRules && !(fullDir in this._ignoreFileRules)) {
+      this._loadIgnoreRules([fullDir], function() {
+        if (!unwatched) read(directory, initialAdd, done);
+      });
+      return;
+    }
+
     if (!wh.hasGlob) {
-      throttler = this._throttle('readdir', directory, 1000);
-      if (!throttler) return;
+      // keep the tracking object of the read in progress, so that it
+      // knows to read once more when it ends
+      const readThrottler = this._throttle('readdir', directory, 1000);
+      if (!readThrottler) return;
+      throttler = readThrottler;
     }
 
     const previous = this._getWatchedDir(wh.path);
     const current = [];
 
-    readdirp({
+    // scans only stat entries that are new or whose type changed
+    const known = wh.options.usePolling === 'scan' && function(item, dirent) {
+      if (!previous.has(item) || dirent.isSymbolicLink()) return false;
+      if (dirent.isDirectory() !== (sysPath.resolve(directory, item) in this._watched)) {
+        return false;
+      }
+      current.push(item);
+      return true;
+    }.bind(this);
+
+    const fs = this.options.fs;
+    const stream = fs === nodeFs && !known ? readdirp({
       root: directory,
       entryType: 'all',
       fileFilter: wh.filterPath,
       directoryFilter: wh.filterDir,
       depth: 0,
       lstat: true
-    }).on('data', function(entry) {
+    }) : readEntries(fs, directory, wh.filterPath, wh.filterDir, known);
+    this._streams.add(stream);
+
+    stream.on('data', function(entry) {
+      // drop reads of a directory no longer watched, such as a followed
+      // symlink that was swapped meanwhile
+      if (this.closed || unwatched) return;
       const item = entry.path;
       let path = sysPath.join(directory, item);
       current.push(item);
 
-      if (entry.stat.isSymbolicLink() &&
-        this._handleSymlink(entry, directory, path, item)) return;
+      const add = function() {
+        // Files that present in current directory snapshot
+        // but absent in previous are added to watch list and
+        // emit `add` event.
+        if (item === target || !target && !previous.has(item)) {
+          this._readyCount++;
 
-      // Files that present in current directory snapshot
-      // but absent in previous are added to watch list and
-      // emit `add` event.
-      if (item === target || !target && !previous.has(item)) {
-        this._readyCount++;
+          // ensure relativeness of path is preserved in case of watcher reuse
+          path = sysPath.join(dir, sysPath.relative(dir, path));
 
-        // ensure relativeness of path is preserved in case of watcher reuse
-        path = sysPath.join(dir, sysPath.relative(dir, path));
+          this._addToNodeFs(path, initialAdd, wh, depth + 1);
+        }
+      }.bind(this);
 
-        this._addToNodeFs(path, initialAdd, wh, depth + 1);
-      }
+      if (entry.stat.isSymbolicLink() &&
+        this._handleSymlink(entry, directory, path, item, add)) return;
+      add();
     }.bind(this)).on('end', function() {
+      this._streams.delete(stream);
+      if (this.closed || unwatched) return;
       const wasThrottled = throttler ? throttler.clear() : false;
       if (done) done();
 
@@ -415,23 +1321,35 @@ _handleDir(dir, stats, initialAdd, depth, target, wh, callback) {
 
       // one more time for any missed in case changes came in extremely quickly
       if (wasThrottled) read(directory, false);
-    }.bind(this)).on('error', this._handleError.bind(this));
+    }.bind(this)).on('error', function(error) {
+      this._streams.delete(stream);
+      this._handleError(error);
+    }.bind(this));
   }.bind(this);
 
   let closer;
 
-  if (this.options.depth == null || depth <= this.options.depth) {
+  if (wh.options.depth == null || depth <= wh.options.depth) {
     if (!target) read(dir, initialAdd, callback);
+    this._rescanners[sysPath.resolve(dir)] = function() {
+      read(dir, false);
+    };
     closer = this._watchWithNodeFs(dir, function(dirPath, stats) {
       // if current directory is removed, do nothing
       if (stats && stats.mtime.getTime() === 0) return;
+      if (this.options.attrib) checkAttrib(stats);
 
       read(dirPath, false);
-    });
+    }.bind(this), stats);
   } else {
     callback();
   }
-  return closer;
+  if (!closer) return closer;
+  return function() {
+    unwatched = true;
+    if (throttler) throttler.clear();
+    closer();
+  };
 },
 
 // Private method: Handle added file, directory, or glob pattern.
@@ -446,6 +1364,16 @@ _handleDir(dir, stats, initialAdd, depth, target, wh, callback) {
 // Returns nothing
 _addToNodeFs(path, initialAdd, priorWh, depth, target, callback) {
   if (!callback) callback = Function.prototype;
+
+  // the rules of ignore files next to a path apply to it
+  const parentDir = sysPath.dirname(sysPath.resolve(path));
+  if (this._ignoreFileRules && !this.closed && !(parentDir in this._ignoreFileRules)) {
+    this._loadIgnoreRules([parentDir], function() {
+      this._addToNodeFs(path, initialAdd, priorWh, depth, target, callback);
+    }.bind(this));
+    return;
+  }
+
   const ready = this._emitReady;
   if (this._isIgnored(path) || this.closed) {
     ready();
@@ -461,7 +1389,7 @@ _addToNodeFs(path, initialAdd, priorWh, depth, target, callback) {
   }
 
   // evaluate what is at the path we're being asked to watch
-  fs[wh.statMethod](wh.watchPath, function(error, stats) {
+  this.options.fs[wh.statMethod](wh.watchPath, function(error, stats) {
     if (this._handleError(error)) return callback(null, path);
     if (this._isIgnored(wh.watchPath, stats)) {
       ready();
@@ -479,11 +1407,12 @@ _addToNodeFs(path, initialAdd, priorWh, depth, target, callback) {
       const parent = sysPath.dirname(wh.watchPath);
       this._getWatchedDir(parent).add(wh.watchPath);
       this._emit('add', wh.watchPath, stats);
+      if (this.closed) return callback(null, false);
       closer = initDir(parent, path);
 
       // preserve this symlink's target path
-      fs.realpath(path, function(error, targetPath) {
-        this._symlinkPaths[sysPath.resolve(path)] = targetPath;
+      this.options.fs.realpath(path, function(error, targetPath) {
+        this._symlinkTargets[sysPath.resolve(path)] = targetPath;
         ready();
       }.bind(this));
     } else {
@@ -11,6 +11,7 @@ const fs = require('graceful-fs');
 const sysPath = require('path');
 const upath = require("upath");
 const exec = promisify(require('child_process').exec);
+const EventEmitter = require('events').EventEmitter;
 chai.use(require('sinon-chai'));
 const os = process.platform;
 
@@ -21,6 +22,9 @@ const fs_rename = promisify(fs.rename);
 const fs_mkdir = promisify(fs.mkdir);
 const fs_rmdir = promisify(fs.rmdir);
 const fs_unlink = promisify(fs.unlink);
+const fs_append = promisify(fs.appendFile);
+const fs_truncate = promisify(fs.truncate);
+const fs_chmod = promisify(fs.chmod);
 
 const isTravisMac = process.env.TRAVIS && os === 'darwin';
 
@@ -80,7 +84,9 @@ if (!fs.readFileSync(__filename).toString().match(/\sit\.only\(/)) {
   };
 }
 
-before(async () => {
+before(async function() {
+  // writes two files for each test
+  this.timeout(10000);
   var writtenCount = 0;
   await rimraf(sysPath.join(__dirname, 'test-fixtures'));
   await fs_mkdir(fixturesPath, PERM_ARR);
@@ -127,6 +133,29 @@ afterEach(function() {
   disposeWatcher(watcher2);
 });
 
+const waitFor = async (spies) => {
+  if (spies.length === 0) throw new TypeError('SPies zero');
+  return new Promise((resolve, reject) => {
+    const isSpyReady = (spy) => {
+      if (Array.isArray(spy)) {
+        return spy[0].callCount >= spy[1];
+      } else {
+        return spy.callCount >= 1;
+      }
+    };
+    let intrvl, timeo;
+    function finish() {
+      clearInterval(intrvl);
+      clearTimeout(timeo);
+      resolve();
+    }
+    intrvl = setInterval(() => {
+      if (spies.every(isSpyReady)) finish();
+    }, 20);
+    timeo = setTimeout(finish, 3500);
+  });
+};
+
 const runTests = function(baseopts) {
   baseopts.persistent = true;
 
@@ -151,29 +180,6 @@ const runTests = function(baseopts) {
     return watcher;
   }
 
-  const waitFor = async (spies) => {
-    if (spies.length === 0) throw new TypeError('SPies zero');
-    return new Promise((resolve, reject) => {
-      const isSpyReady = (spy) => {
-        if (Array.isArray(spy)) {
-          return spy[0].callCount >= spy[1];
-        } else {
-          return spy.callCount >= 1;
-        }
-      };
-      let intrvl, timeo;
-      function finish() {
-        clearInterval(intrvl);
-        clearTimeout(timeo);
-        resolve();
-      }
-      intrvl = setInterval(() => {
-        if (spies.every(isSpyReady)) finish();
-      }, 20);
-      timeo = setTimeout(finish, 3500);
-    });
-  };
-
   describe('watch a directory', function() {
     var readySpy, rawSpy;
     beforeEach(function() {
@@ -400,6 +406,28 @@ const runTests = function(baseopts) {
       rawSpy.should.have.been.called;
       spy.should.have.been.calledOnce;
     });
+    it('should pass the previous stats and the type of change', async () => {
+      const testPath = getFixturePath('change.txt');
+      const spy = await aspy(watcher, 'change');
+      const prevSize = fs.statSync(testPath).size;
+      await write(testPath, 'longer than before');
+      await waitFor([spy]);
+      // the write may be seen half done, so the new size is not checked
+      const details = spy.args[0][2];
+      details.changeType.should.equal('content');
+      details.prevStats.size.should.equal(prevSize);
+      spy.args[0][1].size.should.not.equal(prevSize);
+    });
+    it('should tell when a file was replaced', async () => {
+      const testPath = getFixturePath('change.txt');
+      const tmpPath = getFixturePath('change.tmp');
+      const spy = await aspy(watcher, 'change');
+      await write(tmpPath, 'replaced');
+      await fs_rename(tmpPath, testPath);
+      await waitFor([spy]);
+      spy.should.have.been.calledWith(testPath);
+      spy.args[0][2].changeType.should.equal('replaced');
+    });
     it('should emit `unlink` event when file was removed', async () => {
       const testPath = getFixturePath('unlink.txt');
       const spy = await aspy(watcher, 'unlink');
@@ -821,6 +849,57 @@ const runTests = function(baseopts) {
       spy.should.have.been.calledTwice;
       spy.should.have.been.calledWith('unlink', unlinkPath);
     });
+    it('should let later patterns include negated paths again', async () => {
+      await fs_mkdir(getFixturePath('gen'), PERM_ARR);
+      await fs_mkdir(getFixturePath('gen/sub'), PERM_ARR);
+      await write(getFixturePath('gen/a.txt'), 'a');
+      await write(getFixturePath('gen/keep.txt'), 'b');
+      await write(getFixturePath('gen/sub/a.txt'), 'c');
+      await write(getFixturePath('gen/sub/keep.txt'), 'd');
+      watcher = chokidar.watch([
+        getGlobPath('**'), '!' + getGlobPath('gen/**'), getGlobPath('gen/**/keep.txt')
+      ], options);
+      const spy = await aspy(watcher, 'all');
+      spy.should.have.been.calledWith('add', getFixturePath('change.txt'));
+      spy.should.have.been.calledWith('add', getFixturePath('gen/keep.txt'));
+      spy.should.have.been.calledWith('add', getFixturePath('gen/sub/keep.txt'));
+      spy.should.not.have.been.calledWith('add', getFixturePath('gen/a.txt'));
+      spy.should.not.have.been.calledWith('add', getFixturePath('gen/sub/a.txt'));
+
+      await delay();
+      await write(getFixturePath('gen/sub/a.txt'), Date.now());
+      await write(getFixturePath('gen/sub/keep.txt'), Date.now());
+      await waitFor([spy.withArgs('change')]);
+      await delay(300);
+      spy.should.have.been.calledWith('change', getFixturePath('gen/sub/keep.txt'));
+      spy.should.not.have.been.calledWith('change', getFixturePath('gen/sub/a.txt'));
+    });
+    it('should keep negated paths excluded when the watched dir follows them', async () => {
+      const dir = getFixturePath('neg');
+      await fs_mkdir(dir, PERM_ARR);
+      await fs_mkdir(sysPath.join(dir, 'sub'), PERM_ARR);
+      await write(sysPath.join(dir, 'a.txt'), 'a');
+      await write(sysPath.join(dir, 'b.tmp'), 'b');
+      await write(sysPath.join(dir, 'sub/c.tmp'), 'c');
+      watcher = chokidar.watch(['!' + upath.toUnix(dir) + '/**/*.tmp', dir], options);
+      const spy = await aspy(watcher, 'add');
+      spy.should.have.been.calledOnce;
+      spy.should.have.been.calledWith(sysPath.join(dir, 'a.txt'));
+    });
+    it('should not include negated paths again in a later add()', async () => {
+      const dir = getFixturePath('neg');
+      await fs_mkdir(dir, PERM_ARR);
+      await fs_mkdir(sysPath.join(dir, 'sub'), PERM_ARR);
+      await write(sysPath.join(dir, 'a.txt'), 'a');
+      await write(sysPath.join(dir, 'sub/c.tmp'), 'c');
+      watcher = chokidar.watch([dir, '!' + upath.toUnix(dir) + '/**/*.tmp'], options);
+      const spy = await aspy(watcher, 'add');
+      watcher.add(sysPath.join(dir, 'sub'));
+      await delay(300);
+      spy.should.have.been.calledOnce;
+      spy.should.have.been.calledWith(sysPath.join(dir, 'a.txt'));
+      spy.should.not.have.been.calledWith(sysPath.join(dir, 'sub/c.tmp'));
+    });
     it('should traverse subdirs to match globstar patterns', async () => {
       const watchPath = getGlobPath('../../test-*/' + subdir + '/**/a*.txt');
       fs.mkdirSync(getFixturePath('subdir'), PERM_ARR);
@@ -1099,10 +1178,70 @@ const runTests = function(baseopts) {
       spy.should.have.been.calledWith('change', testFile);
     });
     it('should not recurse indefinitely on circular symlinks', async () => {
-      await fs_symlink(fixturesPath, getFixturePath('subdir/circular'));
-      watcher = stdWatcher();
-      await aspy(watcher);
-      // return true;
+      const linkPath = getFixturePath('subdir/circular');
+      await fs_symlink(fixturesPath, linkPath);
+      const errorSpy = sinon.spy();
+      watcher = stdWatcher().on('error', errorSpy);
+      await waitFor([errorSpy]);
+      errorSpy.should.have.been.calledOnce;
+      const error = errorSpy.args[0][0];
+      error.code.should.equal('ELOOP');
+      error.chain.should.deep.equal([linkPath, sysPath.join(linkPath, 'subdir/circular')]);
+    });
+    it('should not emit symlink loops without `error` listeners', async () => {
+      const linkPath = getFixturePath('subdir/circular');
+      await fs_symlink(fixturesPath, linkPath);
+      const spy = sinon.spy();
+      watcher = stdWatcher().on('all', spy);
+      await new Promise((resolve) => watcher.on('ready', resolve));
+      spy.should.have.been.calledWith('addDir', linkPath);
+    });
+    it('should report the symlinks forming a loop', async () => {
+      const dirA = getFixturePath('subdir/a');
+      const dirB = getFixturePath('subdir/b');
+      await fs_mkdir(dirA, PERM_ARR);
+      await fs_mkdir(dirB, PERM_ARR);
+      await fs_symlink(dirB, sysPath.join(dirA, 'toB'));
+      await fs_symlink(dirA, sysPath.join(dirB, 'toA'));
+      const errorSpy = sinon.spy();
+      watcher = chokidar.watch(dirA, options).on('error', errorSpy);
+      await waitFor([errorSpy]);
+      errorSpy.should.have.been.calledOnce;
+      const error = errorSpy.args[0][0];
+      error.code.should.equal('ELOOP');
+      error.chain.should.deep.equal([
+        sysPath.join(dirA, 'toB'),
+        sysPath.join(dirA, 'toB/toA'),
+        sysPath.join(dirA, 'toB/toA/toB')
+      ]);
+    });
+    it('should emit `symlinkChange` when a followed symlink is swapped', async () => {
+      const releases = getFixturePath('releases');
+      const linkPath = getFixturePath('current');
+      const tmpLinkPath = getFixturePath('current.tmp');
+      await fs_mkdir(releases, PERM_ARR);
+      await fs_mkdir(sysPath.join(releases, '1'), PERM_ARR);
+      await fs_mkdir(sysPath.join(releases, '2'), PERM_ARR);
+      await write(sysPath.join(releases, '1/a.txt'), 'a');
+      await write(sysPath.join(releases, '2/b.txt'), 'b');
+      await fs_symlink(sysPath.join(releases, '1'), linkPath);
+      options.ignoreInitial = true;
+      const spy = await aspy(stdWatcher(), 'all');
+      const changeSpy = sinon.spy();
+      watcher.on('symlinkChange', changeSpy);
+      await delay();
+      await fs_symlink(sysPath.join(releases, '2'), tmpLinkPath);
+      await fs_rename(tmpLinkPath, linkPath);
+      await waitFor([
+        changeSpy,
+        spy.withArgs('unlink', sysPath.join(linkPath, 'a.txt')),
+        spy.withArgs('add', sysPath.join(linkPath, 'b.txt'))
+      ]);
+      changeSpy.should.have.been.calledWith(
+        linkPath, sysPath.join(releases, '1'), sysPath.join(releases, '2')
+      );
+      spy.should.have.been.calledWith('unlink', sysPath.join(linkPath, 'a.txt'));
+      spy.should.have.been.calledWith('add', sysPath.join(linkPath, 'b.txt'));
     });
     it('should recognize changes following symlinked dirs', async () => {
       const linkedFilePath = sysPath.join(linkedDir, 'change.txt');
@@ -1154,6 +1293,98 @@ const runTests = function(baseopts) {
       spy.should.have.been.calledWith('add', linkPath);
       spy.should.have.been.calledWith('change', linkPath);
     });
+    it('should emit `symlinkChange` with the targets when followSymlinks:false', async () => {
+      options.followSymlinks = false;
+      options.ignoreInitial = true;
+      const linkPath = getFixturePath('link');
+      const tmpLinkPath = getFixturePath('link.tmp');
+      fs.symlinkSync(getFixturePath('subdir'), linkPath);
+      const spy = await aspy(stdWatcher(), 'symlinkChange');
+      await delay();
+      await fs_symlink(getFixturePath('change.txt'), tmpLinkPath);
+      await fs_rename(tmpLinkPath, linkPath);
+      await waitFor([spy]);
+      spy.should.have.been.calledOnce;
+      spy.should.have.been.calledWith(
+        linkPath, getFixturePath('subdir'), getFixturePath('change.txt')
+      );
+    });
+    it('should only follow symlinks within the watched paths when followSymlinks:within-roots', async () => {
+      options.followSymlinks = 'within-roots';
+      const outside = getFixturePath('outside');
+      const insideLink = getFixturePath('subdir/inside');
+      const outsideLink = getFixturePath('subdir/outside');
+      await fs_mkdir(getFixturePath('subdir/dir'), PERM_ARR);
+      await write(getFixturePath('subdir/dir/text.txt'), 'a');
+      await fs_mkdir(outside, PERM_ARR);
+      await write(sysPath.join(outside, 'text.txt'), 'b');
+      await fs_symlink(getFixturePath('subdir/dir'), insideLink);
+      await fs_symlink(outside, outsideLink);
+      const outsideSpy = sinon.spy();
+      watcher = chokidar.watch(getFixturePath('subdir'), options)
+        .on('symlinkOutsideRoot', outsideSpy);
+      const spy = await aspy(watcher, 'all');
+      spy.should.have.been.calledWith('addDir', insideLink);
+      spy.should.have.been.calledWith('add', sysPath.join(insideLink, 'text.txt'));
+      spy.should.have.been.calledWith('add', outsideLink);
+      spy.should.not.have.been.calledWith('addDir', outsideLink);
+      spy.should.not.have.been.calledWith('add', sysPath.join(outsideLink, 'text.txt'));
+      outsideSpy.should.have.been.calledOnce;
+      outsideSpy.should.have.been.calledWith(outsideLink, outside);
+    });
+    it('should resolve the real paths of the roots only once', async () => {
+      const _fs = require('fs');
+      const root = getFixturePath('subdir');
+      options.followSymlinks = 'within-roots';
+      options.allowedRoots = [getFixturePath('outside')];
+      await fs_mkdir(getFixturePath('subdir/dir'), PERM_ARR);
+      await fs_symlink(getFixturePath('subdir/dir'), getFixturePath('subdir/a'));
+      await fs_symlink(getFixturePath('subdir/dir'), getFixturePath('subdir/b'));
+      sinon.spy(_fs, 'realpathSync');
+      try {
+        watcher = chokidar.watch(root, options);
+        await aspy(watcher);
+        _fs.realpathSync.withArgs(root).should.have.been.calledOnce;
+        _fs.realpathSync.withArgs(getFixturePath('outside')).callCount.should.be.at.most(1);
+      } finally {
+        _fs.realpathSync.restore();
+      }
+    });
+    it('should not follow symlinks created outside the watched paths when followSymlinks:within-roots', async () => {
+      options.followSymlinks = 'within-roots';
+      const outside = getFixturePath('outside');
+      const outsideLink = getFixturePath('subdir/outside');
+      await fs_mkdir(outside, PERM_ARR);
+      await write(sysPath.join(outside, 'text.txt'), 'b');
+      const outsideSpy = sinon.spy();
+      watcher = chokidar.watch(getFixturePath('subdir'), options)
+        .on('symlinkOutsideRoot', outsideSpy);
+      const spy = await aspy(watcher, 'all');
+      await delay();
+      await fs_symlink(outside, outsideLink);
+      await waitFor([outsideSpy, spy.withArgs('add')]);
+      await delay(300);
+      spy.should.have.been.calledWith('add', outsideLink);
+      spy.should.not.have.been.calledWith('addDir', outsideLink);
+      spy.should.not.have.been.calledWith('add', sysPath.join(outsideLink, 'text.txt'));
+      outsideSpy.should.have.been.calledOnce;
+      outsideSpy.should.have.been.calledWith(outsideLink, outside);
+    });
+    it('should follow symlinks into `allowedRoots`', async () => {
+      const outside = getFixturePath('outside');
+      const linkPath = getFixturePath('subdir/outside');
+      await fs_mkdir(outside, PERM_ARR);
+      await write(sysPath.join(outside, 'text.txt'), 'b');
+      await fs_symlink(outside, linkPath);
+      options.allowedRoots = [outside];
+      const outsideSpy = sinon.spy();
+      watcher = chokidar.watch(getFixturePath('subdir'), options)
+        .on('symlinkOutsideRoot', outsideSpy);
+      const spy = await aspy(watcher, 'all');
+      spy.should.have.been.calledWith('addDir', linkPath);
+      spy.should.have.been.calledWith('add', sysPath.join(linkPath, 'text.txt'));
+      outsideSpy.should.not.have.been.called;
+    });
     it('should not reuse watcher when following a symlink to elsewhere', async () => {
       const linkedPath = getFixturePath('outside');
       const linkedFilePath = sysPath.join(linkedPath, 'text.txt');
@@ -1225,6 +1456,57 @@ const runTests = function(baseopts) {
         .to.throw(TypeError, /non-string/i);
     });
   });
+  describe('watch paths with their own options', function() {
+    let dirA, dirB;
+    beforeEach(async () => {
+      dirA = getFixturePath('a');
+      dirB = getFixturePath('b');
+      for (const dir of [dirA, dirB]) {
+        await fs_mkdir(dir, PERM_ARR);
+        await fs_mkdir(sysPath.join(dir, 'sub'), PERM_ARR);
+        await write(sysPath.join(dir, 'sub/deep.txt'), 'b');
+        await write(sysPath.join(dir, 'app.log'), 'b');
+      }
+    });
+    it('should apply `depth` and `ignored` to the added path only', async () => {
+      watcher = chokidar.watch(dirA, options)
+        .add(dirB, {depth: 0, ignored: '**/*.log'});
+      const spy = await aspy(watcher, 'all');
+      spy.should.have.been.calledWith('add', sysPath.join(dirA, 'sub/deep.txt'));
+      spy.should.have.been.calledWith('add', sysPath.join(dirA, 'app.log'));
+      spy.should.have.been.calledWith('addDir', sysPath.join(dirB, 'sub'));
+      spy.should.not.have.been.calledWith('add', sysPath.join(dirB, 'sub/deep.txt'));
+      spy.should.not.have.been.calledWith('add', sysPath.join(dirB, 'app.log'));
+
+      const logPath = sysPath.join(dirB, 'other.log');
+      const txtPath = sysPath.join(dirB, 'other.txt');
+      await write(logPath, 'b');
+      await write(txtPath, 'b');
+      await waitFor([spy.withArgs('add', txtPath)]);
+      spy.should.not.have.been.calledWith('add', logPath);
+    });
+    it('should apply `usePolling` to the added path only', async () => {
+      const polled = !options.usePolling;
+      const testPath = sysPath.join(dirB, 'app.log');
+      const rawSpy = sinon.spy();
+      watcher = chokidar.watch(dirA, options)
+        .add(dirB, {usePolling: polled, interval: 10})
+        .on('raw', rawSpy);
+      const spy = await aspy(watcher, 'change');
+      await delay();
+      await write(testPath, 'changed');
+      await waitFor([spy]);
+      spy.should.have.been.calledWith(testPath);
+      rawSpy.args.some(function(args) {
+        return args[1] === testPath && !!args[2].curr;
+      }).should.equal(polled);
+    });
+    it('should throw on options that cannot be set per path', () => {
+      watcher = chokidar.watch(dirA, options);
+      expect(watcher.add.bind(watcher, dirB, {persistent: false}))
+        .to.throw(TypeError, /per path/);
+    });
+  });
   describe('watch options', function() {
     before(closeWatchers);
     describe('ignoreInitial', function() {
@@ -1476,177 +1758,922 @@ const runTests = function(baseopts) {
         spy.should.not.have.been.calledWith(getFixturePath('old.txt~'));
       });
     });
-    describe('cwd', function() {
-      it('should emit relative paths based on cwd', async () => {
-        options.cwd = fixturesPath;
-        watcher = chokidar.watch('**', options);
-        const spy = await aspy(watcher, 'all');
-        await write(getFixturePath('change.txt'), Date.now());
-        await fs_unlink(getFixturePath('unlink.txt'));
-        await waitFor([spy.withArgs('unlink')]);
-        spy.should.have.been.calledWith('add', 'change.txt');
-        spy.should.have.been.calledWith('add', 'unlink.txt');
-        spy.should.have.been.calledWith('change', 'change.txt');
-        spy.should.have.been.calledWith('unlink', 'unlink.txt');
-      });
-      it('should emit `addDir` with alwaysStat for renamed directory', async () => {
-        options.cwd = fixturesPath;
-        options.alwaysStat = true;
+    describe('batch', function() {
+      beforeEach(function() {
         options.ignoreInitial = true;
-        const spy = sinon.spy();
-        const testDir = getFixturePath('subdir');
-        const renamedDir = getFixturePath('subdir-renamed');
-
-        await fs_mkdir(testDir, PERM_ARR);
-        watcher = chokidar.watch('.', options);
-
-        setTimeout(() => {
-          watcher.on('addDir', spy);
-          fs_rename(testDir, renamedDir);
-        }, 1000);
-
-        await waitFor([spy]);
-        spy.should.have.been.calledOnce;
-        spy.should.have.been.calledWith('subdir-renamed');
-        expect(spy.args[0][1]).to.be.ok; // stats
+        options.batch = {wait: 300, maxWait: 3000};
       });
-      it('should allow separate watchers to have different cwds', async () => {
-        options.cwd = fixturesPath;
-        const options2 = {};
-        Object.keys(options).forEach((key) => {
-          options2[key] = options[key];
-        });
-        options2.cwd = getFixturePath('subdir');
-        watcher = chokidar.watch(getGlobPath('**'), options);
-        const spy1 = await aspy(watcher, 'all');
-
+      it('should emit a single batch event with events reduced per path', async () => {
+        const addPath = getFixturePath('add.txt');
+        const changePath = getFixturePath('change.txt');
+        const unlinkPath = getFixturePath('unlink.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        const batchSpy = sinon.spy(function batchSpy(){});
+        watcher.on('batch', batchSpy);
         await delay();
-        watcher2 = chokidar.watch(fixturesPath, options2);
-        const spy2 = await aspy(watcher2, 'all');
-
-        await write(getFixturePath('change.txt'), Date.now());
-        await fs_unlink(getFixturePath('unlink.txt'));
-        await waitFor([spy1.withArgs('unlink'), spy2.withArgs('unlink')]);
-        spy1.should.have.been.calledWith('change', 'change.txt');
-        spy1.should.have.been.calledWith('unlink', 'unlink.txt');
-        spy2.should.have.been.calledWith('add', sysPath.join('..', 'change.txt'));
-        spy2.should.have.been.calledWith('add', sysPath.join('..', 'unlink.txt'));
-        spy2.should.have.been.calledWith('change', sysPath.join('..', 'change.txt'));
-        spy2.should.have.been.calledWith('unlink', sysPath.join('..', 'unlink.txt'));
-      });
-      it('should ignore files even with cwd', async () => {
-        options.cwd = fixturesPath;
-        options.ignored = 'ignored-option.txt';
-        const files = [
-          '*.txt',
-          '!ignored.txt'
-        ];
-        fs.writeFileSync(getFixturePath('change.txt'), 'hello');
-        fs.writeFileSync(getFixturePath('ignored.txt'), 'ignored');
-        fs.writeFileSync(getFixturePath('ignored-option.txt'), 'ignored option');
-        watcher = chokidar.watch(files, options);
-
-        const spy = await aspy(watcher, 'all');
-        fs.writeFileSync(getFixturePath('ignored.txt'), Date.now());
-        fs.writeFileSync(getFixturePath('ignored-option.txt'), Date.now());
-        await fs_unlink(getFixturePath('ignored.txt'));
-        await fs_unlink(getFixturePath('ignored-option.txt'));
+        await write(addPath, 'a');
+        await write(changePath, Date.now());
+        await fs_unlink(unlinkPath);
         await delay();
-        await write(getFixturePath('change.txt'), 'change');
-        await waitFor([spy.withArgs('change', 'change.txt')]);
-        spy.should.have.been.calledWith('add', 'change.txt');
-        spy.should.not.have.been.calledWith('add', 'ignored.txt');
-        spy.should.not.have.been.calledWith('add', 'ignored-option.txt');
-        spy.should.not.have.been.calledWith('change', 'ignored.txt');
-        spy.should.not.have.been.calledWith('change', 'ignored-option.txt');
-        spy.should.not.have.been.calledWith('unlink', 'ignored.txt');
-        spy.should.not.have.been.calledWith('unlink', 'ignored-option.txt');
-        spy.should.have.been.calledWith('change', 'change.txt');
+        await write(addPath, 'changed');
+        await waitFor([batchSpy]);
+        await delay(400);
+        batchSpy.should.have.been.calledOnce;
+        spy.should.not.have.been.called;
+        const changes = batchSpy.firstCall.args[0];
+        changes.map(change => [change.event, change.path]).sort().should.deep.equal([
+          ['add', addPath],
+          ['change', changePath],
+          ['unlink', unlinkPath]
+        ]);
       });
-    });
-    describe('ignorePermissionErrors', function() {
-      let filePath;
-      beforeEach(async () => {
-        filePath = getFixturePath('add.txt');
-        await write(filePath, 'b', {mode: 128});
-        await delay();
+      it('should emit the batch of the initial entries before `ready`', async () => {
+        options.ignoreInitial = false;
+        const batchSpy = sinon.spy(function batchSpy(){});
+        const readySpy = sinon.spy(function readySpy(){});
+        stdWatcher().on('batch', batchSpy).on('ready', readySpy);
+        await aspy(watcher);
+        batchSpy.should.have.been.calledOnce;
+        batchSpy.should.have.been.calledBefore(readySpy);
+        batchSpy.firstCall.args[0].map(change => [change.event, change.path]).should.deep.include.members([
+          ['addDir', fixturesPath],
+          ['add', getFixturePath('change.txt')],
+          ['add', getFixturePath('unlink.txt')]
+        ]);
       });
-      describe('false', function() {
-        beforeEach(function() { options.ignorePermissionErrors = false; });
-        it('should not watch files without read permissions', async () => {
-          if (os === 'win32') return true;
-          const spy = await aspy(stdWatcher(), 'all');
-          spy.should.not.have.been.calledWith('add', filePath);
-          await write(filePath, Date.now());
-
-          await delay(500);
-          spy.should.not.have.been.calledWith('change', filePath);
-        });
+      it('should drop events that cancel each other out', async () => {
+        const testPath = getFixturePath('add.txt');
+        const batchSpy = sinon.spy(function batchSpy(){});
+        stdWatcher().on('batch', batchSpy);
+        await aspy(watcher);
+        await write(testPath, 'a');
+        await delay(100);
+        await fs_unlink(testPath);
+        await delay(900);
+        batchSpy.should.not.have.been.called;
       });
-      describe('true', function() {
-        beforeEach(function() { options.ignorePermissionErrors = true; });
-        it('should watch unreadable files if possible', async () => {
-          const spy = await aspy(stdWatcher(), 'all');
-          spy.should.have.been.calledWith('add', filePath);
-          if (!options.useFsEvents) return true;
-          await write(filePath, Date.now());
-          await waitFor([spy.withArgs('change')]);
-          spy.should.have.been.calledWith('change', filePath);
-        });
-        it('should not choke on non-existent files', async () => {
-          watcher = chokidar.watch(getFixturePath('nope.txt'), options);
-          await aspy(watcher);
-        });
+      it('should not hold events longer than maxWait', async () => {
+        options.batch = {wait: 5000, maxWait: 200};
+        const testPath = getFixturePath('change.txt');
+        const batchSpy = sinon.spy(function batchSpy(){});
+        stdWatcher().on('batch', batchSpy);
+        await aspy(watcher);
+        await write(testPath, Date.now());
+        await delay(1000);
+        batchSpy.should.have.been.calledOnce;
+        batchSpy.should.have.been.calledWith([
+          sinon.match({event: 'change', path: testPath})
+        ]);
       });
     });
-    describe('awaitWriteFinish', function() {
+    describe('detectRenames', function() {
       beforeEach(function() {
-        options.awaitWriteFinish = {stabilityThreshold: 500};
         options.ignoreInitial = true;
+        options.detectRenames = true;
       });
-      it('should use default options if none given', function() {
-        options.awaitWriteFinish = true;
-        watcher = stdWatcher();
-        expect(watcher.options.awaitWriteFinish.pollInterval).to.equal(100);
-        expect(watcher.options.awaitWriteFinish.stabilityThreshold).to.equal(2000);
-      });
-      it('should not emit add event before a file is fully written', async () => {
-        const testPath = getFixturePath('add.txt');
+      it('should emit `rename` when a file is moved', async () => {
+        const oldPath = getFixturePath('change.txt');
+        const newPath = getFixturePath('moved.txt');
         const spy = await aspy(stdWatcher(), 'all');
-        await write(testPath, 'hello');
-        await delay(200);
+        await delay();
+        await fs_rename(oldPath, newPath);
+        await waitFor([spy.withArgs('rename')]);
+        await delay(300);
+        spy.should.have.been.calledWith('rename', oldPath, newPath);
+        spy.should.not.have.been.calledWith('unlink');
         spy.should.not.have.been.calledWith('add');
       });
-      it('should wait for the file to be fully written before emitting the add event', async () => {
-        const testPath = getFixturePath('add.txt');
+      it('should emit a single `renameDir` when a directory is moved', async () => {
+        const oldDir = getFixturePath('subdir');
+        const newDir = getFixturePath('subdir2');
+        await fs_mkdir(oldDir, PERM_ARR);
+        await write(sysPath.join(oldDir, 'a.txt'), 'a');
+        await delay();
         const spy = await aspy(stdWatcher(), 'all');
-        await write(testPath, 'hello');
+        await fs_rename(oldDir, newDir);
+        await waitFor([spy.withArgs('renameDir')]);
+        await delay(300);
+        spy.should.have.been.calledWith('renameDir', oldDir, newDir);
+        spy.should.have.been.calledOnce;
 
+        await write(sysPath.join(newDir, 'a.txt'), 'changed');
+        await waitFor([spy.withArgs('change')]);
+        spy.should.have.been.calledWith('change', sysPath.join(newDir, 'a.txt'));
+      });
+      it('should let the process exit once closed after a `renameDir`', async () => {
+        const oldDir = getFixturePath('subdir');
+        const scriptFile = getFixturePath('script.js');
+        const quote = (path) => JSON.stringify(path);
+        await fs_mkdir(oldDir, PERM_ARR);
+        await write(scriptFile, 'const fs = require("fs");\n' +
+          'const chokidar = require(' + quote(__dirname) + ');\n' +
+          'const watcher = chokidar.watch(' + quote(fixturesPath) + ', ' + JSON.stringify(options) + ');\n' +
+          'watcher.on("ready", () => fs.renameSync(' + quote(oldDir) + ', ' + quote(oldDir + '2') + '));\n' +
+          'watcher.on("renameDir", () => watcher.close().then(() => {\n' +
+          '  const closed = Date.now();\n' +
+          '  process.on("exit", () => process.stdout.write(String(Date.now() - closed)));\n' +
+          '}));\n');
+        const obj = await exec('node ' + scriptFile, {timeout: 4000});
+        Number(obj.stdout.toString()).should.be.below(200);
+      });
+      it('should still emit `unlink` for removed files', async () => {
+        const testPath = getFixturePath('unlink.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        await delay();
+        await fs_unlink(testPath);
+        await waitFor([spy.withArgs('unlink')]);
+        spy.should.have.been.calledWith('unlink', testPath);
+        spy.should.not.have.been.calledWith('rename');
+      });
+    });
+    describe('compareContents', function() {
+      const sha1 = (data) => require('crypto').createHash('sha1').update(data).digest('hex');
+      beforeEach(function() {
+        options.ignoreInitial = true;
+        options.compareContents = true;
+      });
+      it('should not emit `change` when the contents stay the same', async () => {
+        const testPath = getFixturePath('change.txt');
+        const spy = await aspy(stdWatcher(), 'change');
+        await delay();
+        await write(testPath, 'b', {flag: 'r+'});
         await delay(300);
         spy.should.not.have.been.called;
+        await write(testPath, 'c', {flag: 'r+'});
         await waitFor([spy]);
-        spy.should.have.been.calledWith('add', testPath);
+        spy.should.have.been.calledOnce;
+        spy.should.have.been.calledWith(testPath);
+        spy.args[0][2].digest.should.equal(sha1('c'));
       });
-      it('should emit with the final stats', async () => {
-        const testPath = getFixturePath('add.txt');
-        const spy = await aspy(stdWatcher(), 'all');
-        await write(testPath, 'hello ');
-
+      it('should accept a custom hash function', async () => {
+        options.compareContents = (path, stats) => String(stats.size);
+        const testPath = getFixturePath('change.txt');
+        const spy = await aspy(stdWatcher(), 'change');
+        await delay();
+        await write(testPath, 'x', {flag: 'r+'});
         await delay(300);
-        fs.appendFileSync(testPath, 'world!');
-
+        spy.should.not.have.been.called;
+        await write(testPath, 'xyz', {flag: 'r+'});
         await waitFor([spy]);
-        spy.should.have.been.calledWith('add', testPath);
-        expect(spy.args[0][2].size).to.equal(12);
+        spy.should.have.been.calledWith(testPath);
+        spy.args[0][2].digest.should.equal('3');
       });
-      it('should not emit change event while a file has not been fully written', async () => {
-        const testPath = getFixturePath('add.txt');
-        const spy = await aspy(stdWatcher(), 'all');
-        await write(testPath, 'hello');
-        await delay(100);
-        await write(testPath, 'edit');
-        await delay(200);
-        spy.should.not.have.been.calledWith('change', testPath);
+      it('should report the initial files with their digest before ready', async () => {
+        options.ignoreInitial = false;
+        const names = [];
+        for (let i = 0; i < 20; i++) names.push('file' + i + '.txt');
+        for (const name of names) await write(getFixturePath(name), name);
+        const spy = await aspy(stdWatcher(), 'add');
+        spy.callCount.should.equal(names.length + 2);
+        spy.should.have.been.calledWith(getFixturePath('file7.txt'));
+        spy.withArgs(getFixturePath('file7.txt')).args[0][2].digest.should.equal(sha1('file7.txt'));
+      });
+      it('should still emit events of files that cannot be hashed', async () => {
+        const testPath = getFixturePath('change.txt');
+        options.ignoreInitial = false;
+        options.compareContents = (path) => {
+          if (path !== testPath) return 'x';
+          const error = new Error('EMFILE: too many open files');
+          error.code = 'EMFILE';
+          return Promise.reject(error);
+        };
+        const addSpy = sinon.spy();
+        const errorSpy = sinon.spy();
+        watcher = stdWatcher().on('add', addSpy).on('error', errorSpy);
+        await new Promise((resolve) => watcher.on('ready', resolve));
+        addSpy.should.have.been.calledWith(testPath);
+        errorSpy.should.have.been.calledOnce;
+        errorSpy.args[0][0].code.should.equal('EMFILE');
+      });
+      it('should emit every change of files over `maxSize`', async () => {
+        options.compareContents = {maxSize: 0};
+        const testPath = getFixturePath('change.txt');
+        const spy = await aspy(stdWatcher(), 'change');
+        await delay();
+        await write(testPath, 'b', {flag: 'r+'});
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+        expect(spy.args[0][2].digest).to.be.undefined;
+      });
+    });
+    describe('tail', function() {
+      beforeEach(function() {
+        options.ignoreInitial = true;
+        options.tail = true;
+      });
+      it('should emit `append` with the bytes added to a file', async () => {
+        const testPath = getFixturePath('change.txt');
+        const spy = sinon.spy();
+        const watcher = stdWatcher().on('append', spy);
+        await aspy(watcher);
+        await fs_append(testPath, 'cd');
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+        spy.args[0][1].toString().should.equal('cd');
+        await fs_append(testPath, 'ef');
+        await waitFor([[spy, 2]]);
+        spy.args[1][1].toString().should.equal('ef');
+      });
+      it('should hold back tail events while paused', async () => {
+        const testPath = getFixturePath('change.txt');
+        const spy = sinon.spy();
+        const watcher = stdWatcher().on('append', spy);
+        await aspy(watcher);
+        watcher.pause();
+        await fs_append(testPath, 'cd');
+        await delay(300);
+        spy.should.not.have.been.called;
+        watcher.resume();
+        spy.should.have.been.calledOnce;
+        spy.should.have.been.calledWith(testPath);
+        spy.args[0][1].toString().should.equal('cd');
+      });
+      it('should only tail matching files', async () => {
+        const testPath = getFixturePath('change.txt');
+        const otherPath = getFixturePath('unlink.txt');
+        options.tail = testPath;
+        const spy = sinon.spy();
+        const watcher = stdWatcher().on('append', spy);
+        await aspy(watcher);
+        await fs_append(otherPath, 'x');
+        await fs_append(testPath, 'y');
+        await waitFor([spy]);
+        await delay(300);
+        spy.should.have.been.calledOnce;
+        spy.should.have.been.calledWith(testPath);
+      });
+      it('should emit `truncate` and restart from the beginning', async () => {
+        const testPath = getFixturePath('change.txt');
+        const truncateSpy = sinon.spy();
+        const appendSpy = sinon.spy();
+        const watcher = stdWatcher()
+          .on('truncate', truncateSpy)
+          .on('append', appendSpy);
+        await aspy(watcher);
+        await fs_truncate(testPath, 0);
+        await waitFor([truncateSpy]);
+        truncateSpy.should.have.been.calledWith(testPath);
+        await fs_append(testPath, 'new');
+        await waitFor([appendSpy]);
+        appendSpy.args[0][1].toString().should.equal('new');
+      });
+      it('should emit `rotate` when the file is replaced', async () => {
+        const testPath = getFixturePath('change.txt');
+        const rotateSpy = sinon.spy();
+        const appendSpy = sinon.spy();
+        const watcher = stdWatcher()
+          .on('rotate', rotateSpy)
+          .on('append', appendSpy);
+        await aspy(watcher);
+        await fs_rename(testPath, getFixturePath('change.txt.1'));
+        await write(testPath, '');
+        await waitFor([rotateSpy]);
+        rotateSpy.should.have.been.calledWith(testPath);
+        await fs_append(testPath, 'fresh');
+        await waitFor([appendSpy]);
+        await delay(300);
+        // the rotated file is followed from where it was left
+        appendSpy.should.have.been.calledOnce;
+        appendSpy.should.have.been.calledWith(testPath);
+        appendSpy.args[0][1].toString().should.equal('fresh');
+      });
+      it('should forget removed files', async () => {
+        const testPath = getFixturePath('unlink.txt');
+        const spy = await aspy(stdWatcher(), 'unlink');
+        await fs_append(testPath, 'x');
+        await delay(300);
+        expect(watcher._tails[testPath]).to.be.an('object');
+        await fs_unlink(testPath);
+        await waitFor([spy]);
+        expect(watcher._tails[testPath]).to.be.undefined;
+        await watcher.close();
+        Object.keys(watcher._tails).should.be.empty;
+      });
+    });
+    describe('attrib', function() {
+      beforeEach(function() {
+        options.ignoreInitial = true;
+        options.attrib = true;
+      });
+      it('should emit `attrib` when the mode of a file changes', async () => {
+        const testPath = getFixturePath('change.txt');
+        const prevMode = fs.statSync(testPath).mode;
+        const spy = await aspy(stdWatcher(), 'all');
+        await delay();
+        await fs_chmod(testPath, 0o700);
+        await waitFor([spy.withArgs('attrib')]);
+        await delay(300);
+        spy.should.have.been.calledOnce;
+        spy.should.have.been.calledWith('attrib', testPath);
+        const details = spy.args[0][3];
+        details.changeType.should.equal('metadata');
+        details.prevStats.mode.should.equal(prevMode);
+        (spy.args[0][2].mode & 0o777).should.equal(0o700);
+      });
+      it('should emit `attrib` when the mode of a directory changes', async () => {
+        const dirPath = getFixturePath('subdir');
+        await fs_mkdir(dirPath, 0o755);
+        const spy = await aspy(stdWatcher(), 'attrib');
+        await delay();
+        await fs_chmod(dirPath, 0o700);
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(dirPath);
+      });
+      it('should still emit `change` for contents', async () => {
+        const testPath = getFixturePath('change.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        await delay();
+        await write(testPath, 'new contents');
+        await waitFor([spy]);
+        spy.should.have.been.calledWith('change', testPath);
+        spy.should.not.have.been.calledWith('attrib');
+      });
+    });
+    describe('maxInterval', function() {
+      const _fs = require('fs');
+      beforeEach(function() {
+        options.usePolling = true;
+        options.interval = 10;
+        options.maxInterval = 80;
+        options.ignoreInitial = true;
+        sinon.spy(_fs, 'watchFile');
+      });
+      afterEach(function() {
+        _fs.watchFile.restore();
+        if (_fs.unwatchFile.restore) _fs.unwatchFile.restore();
+      });
+      const intervalsOf = function(path) {
+        return _fs.watchFile.args.filter(function(args) {
+          return args[0] === sysPath.resolve(path);
+        }).map(function(args) {
+          return args[1].interval;
+        });
+      };
+      it('should back off polling entries that do not change', async () => {
+        const testPath = getFixturePath('change.txt');
+        await aspy(stdWatcher(), 'all');
+        await delay(1200);
+        intervalsOf(testPath).should.deep.equal([10, 20, 40, 80]);
+      });
+      it('should poll entries at `minInterval` again once they change', async () => {
+        const testPath = getFixturePath('change.txt');
+        options.minInterval = 20;
+        const spy = await aspy(stdWatcher(), 'change');
+        await delay(1000);
+        await write(testPath, Date.now());
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+        const intervals = intervalsOf(testPath);
+        intervals.slice(0, 3).should.deep.equal([20, 40, 80]);
+        intervals[intervals.length - 1].should.equal(20);
+      });
+      it('should notice changes made while backing off', async () => {
+        const testPath = getFixturePath('change.txt');
+        const unwatchFile = _fs.unwatchFile;
+        let written = false;
+        sinon.stub(_fs, 'unwatchFile', function(path) {
+          // change the file after the last poll, right before re-registering
+          if (!written && path === sysPath.resolve(testPath)) {
+            written = true;
+            _fs.writeFileSync(path, 'changed while backing off');
+          }
+          return unwatchFile.apply(this, arguments);
+        });
+        const spy = await aspy(stdWatcher(), 'change');
+        await delay(300);
+        written.should.be.true;
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+      });
+    });
+    describe('usePolling: scan', function() {
+      const _fs = require('fs');
+      beforeEach(function() {
+        options.usePolling = 'scan';
+        options.interval = 10;
+        options.ignoreInitial = true;
+      });
+      afterEach(function() {
+        if (_fs.lstat.restore) _fs.lstat.restore();
+      });
+      it('should only stat the new entries of a changed directory', async () => {
+        await fs_mkdir(getFixturePath('subdir'), PERM_ARR);
+        const spy = await aspy(stdWatcher(), 'add');
+        await delay();
+        sinon.spy(_fs, 'lstat');
+        const testPath = getFixturePath('add.txt');
+        await write(testPath, 'hello');
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+        _fs.lstat.should.have.been.calledWith(testPath);
+        _fs.lstat.should.not.have.been.calledWith(getFixturePath('change.txt'));
+        _fs.lstat.should.not.have.been.calledWith(getFixturePath('subdir'));
+      });
+    });
+    describe('fallbackToPolling', function() {
+      const _fs = require('fs');
+      const realWatch = _fs.watch;
+      beforeEach(function() {
+        options.usePolling = false;
+        options.useFsEvents = false;
+        options.fallbackToPolling = true;
+        options.interval = 10;
+        options.ignoreInitial = true;
+      });
+      afterEach(function() {
+        _fs.watch.restore();
+      });
+      it('should poll paths whose native watcher cannot be created', async () => {
+        sinon.stub(_fs, 'watch', function() {
+          const error = new Error('ENOSPC: System limit for number of file watchers reached');
+          error.code = 'ENOSPC';
+          throw error;
+        });
+        const testPath = getFixturePath('change.txt');
+        const fallbackSpy = sinon.spy();
+        watcher = stdWatcher().on('fallback', fallbackSpy);
+        const spy = await aspy(watcher, 'change');
+        fallbackSpy.should.have.been.calledWith(testPath);
+        const error = fallbackSpy.args[0][1];
+        error.code.should.equal('ENOSPC');
+        if (os === 'linux') error.message.should.contain('fs.inotify.max_user_watches');
+        await delay();
+        await write(testPath, Date.now());
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+      });
+      it('should poll paths whose native watcher becomes unusable', async () => {
+        const fsWatchers = [];
+        sinon.stub(_fs, 'watch', function() {
+          const fsWatcher = realWatch.apply(_fs, arguments);
+          fsWatchers.push(fsWatcher);
+          return fsWatcher;
+        });
+        const testPath = getFixturePath('change.txt');
+        const fallbackSpy = sinon.spy();
+        watcher = stdWatcher().on('fallback', fallbackSpy);
+        const spy = await aspy(watcher, 'change');
+        const error = new Error('watcher failed');
+        fsWatchers.forEach(function(fsWatcher) {
+          fsWatcher.emit('error', error);
+        });
+        fallbackSpy.should.have.been.calledWith(testPath, error);
+        await delay();
+        await write(testPath, Date.now());
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+      });
+    });
+    describe('maxNativeWatchers', function() {
+      const _fs = require('fs');
+      const realWatch = _fs.watch;
+      let watchedPaths;
+      let openWatchers;
+      beforeEach(function() {
+        options.usePolling = false;
+        options.useFsEvents = false;
+        options.maxNativeWatchers = 2;
+        options.interval = 10;
+        options.binaryInterval = 10;
+        options.ignoreInitial = true;
+        watchedPaths = [];
+        openWatchers = 0;
+        sinon.stub(_fs, 'watch', function(path) {
+          const fsWatcher = realWatch.apply(_fs, arguments);
+          const close = fsWatcher.close;
+          watchedPaths.push(path);
+          openWatchers++;
+          fsWatcher.close = function() {
+            openWatchers--;
+            return close.apply(fsWatcher, arguments);
+          };
+          return fsWatcher;
+        });
+      });
+      afterEach(function() {
+        _fs.watch.restore();
+        if (_fs.watchFile.restore) _fs.watchFile.restore();
+      });
+      it('should poll the least recently active paths over the budget', async () => {
+        const testPath = getFixturePath('change.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        openWatchers.should.equal(2);
+        await delay();
+        await write(testPath, Date.now());
+        await write(getFixturePath('unlink.txt'), Date.now());
+        await waitFor([spy.withArgs('change', testPath)]);
+        spy.should.have.been.calledWith('change', testPath);
+        openWatchers.should.equal(2);
+      });
+      it('should watch demoted paths natively again once they change', async () => {
+        const testPath = getFixturePath('add.txt');
+        const spy = await aspy(stdWatcher(), 'add');
+        watchedPaths.should.have.members([
+          fixturesPath, getFixturePath('change.txt'), getFixturePath('unlink.txt')
+        ]);
+        await delay();
+        await write(testPath, 'hello');
+        await waitFor([spy]);
+        spy.should.have.been.calledWith(testPath);
+        watchedPaths.indexOf(fixturesPath, 1).should.not.equal(-1);
+        openWatchers.should.equal(2);
+      });
+      it('should poll demoted paths slowly', async () => {
+        sinon.spy(_fs, 'watchFile');
+        await aspy(stdWatcher());
+        _fs.watchFile.should.have.been.calledOnce;
+        _fs.watchFile.firstCall.args[1].interval.should.equal(2000);
+      });
+      it('should share the budget with the other watchers of the process', async () => {
+        await fs_mkdir(getFixturePath('subdir'), PERM_ARR);
+        await aspy(stdWatcher());
+        openWatchers.should.equal(2);
+        watcher2 = chokidar.watch(getFixturePath('subdir'), options);
+        await aspy(watcher2);
+        openWatchers.should.equal(2);
+      });
+    });
+    describe('useRecursiveWatch', function() {
+      const _fs = require('fs');
+      const realWatch = _fs.watch;
+      let watchCalls;
+      beforeEach(async () => {
+        options.usePolling = false;
+        options.useFsEvents = false;
+        options.useRecursiveWatch = true;
+        options.ignoreInitial = true;
+        await fs_mkdir(getFixturePath('subdir'), PERM_ARR);
+        await fs_mkdir(getFixturePath('subdir/subsub'), PERM_ARR);
+        await write(getFixturePath('subdir/subsub/a.txt'), 'a');
+        watchCalls = [];
+        sinon.stub(_fs, 'watch', function() {
+          watchCalls.push(Array.prototype.slice.call(arguments));
+          return realWatch.apply(_fs, arguments);
+        });
+      });
+      afterEach(function() {
+        _fs.watch.restore();
+      });
+      const version = process.versions.node.split('.').map(Number);
+      const recursiveWatchAvailable = os !== 'linux' ||
+        version[0] > 19 || version[0] === 19 && version[1] >= 1;
+      it('should watch a root and everything below it with one watcher', async () => {
+        const spy = await aspy(stdWatcher(), 'all');
+        // recursive fs.watch may itself watch every entry below the root
+        const recursiveCalls = watchCalls.filter(function(args) {
+          return args[1] && args[1].recursive;
+        });
+        if (recursiveWatchAvailable) {
+          recursiveCalls.length.should.equal(1);
+          recursiveCalls[0][0].should.equal(fixturesPath);
+        } else {
+          recursiveCalls.length.should.equal(0);
+        }
+        await delay();
+        await write(getFixturePath('subdir/subsub/a.txt'), 'changed');
+        await waitFor([spy]);
+        spy.should.have.been.calledWith('change', getFixturePath('subdir/subsub/a.txt'));
+      });
+      it('should map added and removed entries below the root', async () => {
+        const newPath = getFixturePath('subdir/subsub/new/b.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        await delay();
+        await fs_mkdir(getFixturePath('subdir/subsub/new'), PERM_ARR);
+        await write(newPath, 'b');
+        await fs_unlink(getFixturePath('subdir/subsub/a.txt'));
+        await waitFor([
+          spy.withArgs('add', newPath),
+          spy.withArgs('unlink', getFixturePath('subdir/subsub/a.txt'))
+        ]);
+        spy.should.have.been.calledWith('addDir', getFixturePath('subdir/subsub/new'));
+        spy.should.have.been.calledWith('add', newPath);
+        spy.should.have.been.calledWith('unlink', getFixturePath('subdir/subsub/a.txt'));
+      });
+    });
+    describe('since', function() {
+      it('should only emit what changed since the snapshot', async () => {
+        const changePath = getFixturePath('change.txt');
+        const unlinkPath = getFixturePath('unlink.txt');
+        const addPath = getFixturePath('add.txt');
+        await aspy(stdWatcher());
+        const snapshot = await watcher.snapshot();
+        snapshot.entries[changePath].type.should.equal('file');
+        snapshot.entries[fixturesPath].type.should.equal('dir');
+        await watcher.close();
+
+        await write(changePath, 'c');
+        await fs_unlink(unlinkPath);
+        await write(addPath, 'a');
+        options.since = snapshot;
+        const spy = await aspy(stdWatcher(), 'all');
+        // reported before `ready`
+        spy.should.have.been.calledWith('change', changePath);
+        spy.should.have.been.calledWith('unlink', unlinkPath);
+        spy.should.have.been.calledWith('add', addPath);
+        spy.should.have.been.calledThrice;
+      });
+      it('should report the contents of directories deleted in between', async () => {
+        const dirPath = getFixturePath('subdir');
+        const nestedPath = sysPath.join(dirPath, 'nested');
+        const filePath = sysPath.join(dirPath, 'a.txt');
+        const nestedFilePath = sysPath.join(nestedPath, 'b.txt');
+        await fs_mkdir(dirPath, PERM_ARR);
+        await fs_mkdir(nestedPath, PERM_ARR);
+        await write(filePath, 'a');
+        await write(nestedFilePath, 'b');
+        await aspy(stdWatcher());
+        const snapshot = await watcher.snapshot();
+        await watcher.close();
+
+        await rimraf(dirPath);
+        options.since = snapshot;
+        const spy = await aspy(stdWatcher(), 'all');
+        spy.should.have.been.calledWith('unlink', filePath);
+        spy.should.have.been.calledWith('unlink', nestedFilePath);
+        spy.should.have.been.calledWith('unlinkDir', nestedPath);
+        spy.should.have.been.calledWith('unlinkDir', dirPath);
+        spy.callCount.should.equal(4);
+        spy.withArgs('unlink', nestedFilePath).should.have.been.calledBefore(spy.withArgs('unlinkDir', nestedPath));
+        spy.withArgs('unlinkDir', nestedPath).should.have.been.calledBefore(spy.withArgs('unlinkDir', dirPath));
+      });
+      it('should read and write snapshot files', async () => {
+        const file = sysPath.resolve(fixturesPath, '..', subdir + '-snapshot.json');
+        const unlinkPath = getFixturePath('unlink.txt');
+        options.ignoreInitial = true;
+        options.since = file;
+        // a missing file means there is nothing to compare with
+        let spy = await aspy(stdWatcher(), 'all');
+        spy.should.not.have.been.called;
+        await watcher.snapshot(file);
+        await watcher.close();
+
+        await fs_unlink(unlinkPath);
+        spy = await aspy(stdWatcher(), 'all');
+        spy.should.have.been.calledOnce;
+        spy.should.have.been.calledWith('unlink', unlinkPath);
+      });
+    });
+    describe('ignoreFiles', function() {
+      it('should apply the rules of ignore files to their directories', async () => {
+        await write(getFixturePath('.gitignore'), '*.log\n!keep.log\nbuild/\n');
+        await write(getFixturePath('a.log'), 'a');
+        await write(getFixturePath('keep.log'), 'b');
+        await write(getFixturePath('x.txt'), 'c');
+        await fs_mkdir(getFixturePath('build'), PERM_ARR);
+        await write(getFixturePath('build/y.txt'), 'd');
+        await fs_mkdir(getFixturePath('sub'), PERM_ARR);
+        await write(getFixturePath('sub/.gitignore'), '/x.txt\n');
+        await write(getFixturePath('sub/x.txt'), 'e');
+        await write(getFixturePath('sub/b.log'), 'f');
+        options.ignoreFiles = ['.gitignore'];
+        const spy = await aspy(stdWatcher(), 'all');
+        spy.should.have.been.calledWith('add', getFixturePath('keep.log'));
+        spy.should.have.been.calledWith('add', getFixturePath('x.txt'));
+        spy.should.have.been.calledWith('add', getFixturePath('sub/.gitignore'));
+        spy.should.not.have.been.calledWith('add', getFixturePath('a.log'));
+        spy.should.not.have.been.calledWith('addDir', getFixturePath('build'));
+        spy.should.not.have.been.calledWith('add', getFixturePath('build/y.txt'));
+        spy.should.not.have.been.calledWith('add', getFixturePath('sub/x.txt'));
+        spy.should.not.have.been.calledWith('add', getFixturePath('sub/b.log'));
+      });
+      it('should read ignore files without blocking', async function() {
+        // fsevents reports whole trees at once, leaving no time to read ahead
+        if (options.useFsEvents) return this.skip();
+        const _fs = require('fs');
+        await write(getFixturePath('.gitignore'), '*.log\n');
+        await fs_mkdir(getFixturePath('sub'), PERM_ARR);
+        await write(getFixturePath('sub/.gitignore'), 'x.txt\n');
+        await write(getFixturePath('sub/x.txt'), 'e');
+        options.ignoreFiles = ['.gitignore'];
+        sinon.spy(_fs, 'readFileSync');
+        try {
+          const spy = await aspy(stdWatcher(), 'all');
+          spy.should.have.been.calledWith('addDir', getFixturePath('sub'));
+          spy.should.not.have.been.calledWith('add', getFixturePath('sub/x.txt'));
+          _fs.readFileSync.should.not.have.been.called;
+        } finally {
+          _fs.readFileSync.restore();
+        }
+      });
+      it('should re-evaluate the tree when an ignore file changes', async () => {
+        const ignorePath = getFixturePath('.gitignore');
+        const changePath = getFixturePath('change.txt');
+        const unlinkPath = getFixturePath('unlink.txt');
+        await write(ignorePath, 'change.txt\n');
+        options.ignoreFiles = '.gitignore';
+        options.ignoreInitial = true;
+        const spy = await aspy(stdWatcher(), 'all');
+        await write(ignorePath, 'unlink.txt\n');
+        await waitFor([spy.withArgs('add', changePath)]);
+        spy.should.have.been.calledWith('change', ignorePath);
+        spy.should.have.been.calledWith('add', changePath);
+
+        await delay(300);
+        await fs_unlink(unlinkPath);
+        await write(changePath, Date.now());
+        await waitFor([spy.withArgs('change', changePath)]);
+        await delay(300);
+        spy.should.have.been.calledWith('change', changePath);
+        spy.should.not.have.been.calledWith('unlink', unlinkPath);
+      });
+      it('should reload ignore files written while suppressed', async () => {
+        const ignorePath = getFixturePath('.gitignore');
+        const changePath = getFixturePath('change.txt');
+        await write(ignorePath, 'change.txt\n');
+        options.ignoreFiles = '.gitignore';
+        options.ignoreInitial = true;
+        const spy = await aspy(stdWatcher(), 'all');
+        await delay();
+        await watcher.suppress(ignorePath, () => write(ignorePath, 'unlink.txt\n'));
+        await waitFor([spy.withArgs('add', changePath)]);
+        spy.should.have.been.calledWith('add', changePath);
+        spy.should.not.have.been.calledWith('change', ignorePath);
+      });
+      it('should add entries no longer ignored by an ignore file of a subdirectory', async () => {
+        const ignorePath = getFixturePath('sub/.gitignore');
+        const testPath = getFixturePath('sub/a.txt');
+        await fs_mkdir(getFixturePath('sub'), PERM_ARR);
+        await write(ignorePath, 'a.txt\n');
+        await write(testPath, 'a');
+        options.ignoreFiles = '.gitignore';
+        options.ignoreInitial = true;
+        const spy = await aspy(stdWatcher(), 'all');
+        await write(ignorePath, 'b.txt\n');
+        await waitFor([spy.withArgs('add', testPath)]);
+        spy.should.have.been.calledWith('add', testPath);
+      });
+    });
+    describe('cwd', function() {
+      it('should emit relative paths based on cwd', async () => {
+        options.cwd = fixturesPath;
+        watcher = chokidar.watch('**', options);
+        const spy = await aspy(watcher, 'all');
+        await write(getFixturePath('change.txt'), Date.now());
+        await fs_unlink(getFixturePath('unlink.txt'));
+        await waitFor([spy.withArgs('unlink')]);
+        spy.should.have.been.calledWith('add', 'change.txt');
+        spy.should.have.been.calledWith('add', 'unlink.txt');
+        spy.should.have.been.calledWith('change', 'change.txt');
+        spy.should.have.been.calledWith('unlink', 'unlink.txt');
+      });
+      it('should emit `addDir` with alwaysStat for renamed directory', async () => {
+        options.cwd = fixturesPath;
+        options.alwaysStat = true;
+        options.ignoreInitial = true;
+        const spy = sinon.spy();
+        const testDir = getFixturePath('subdir');
+        const renamedDir = getFixturePath('subdir-renamed');
+
+        await fs_mkdir(testDir, PERM_ARR);
+        watcher = chokidar.watch('.', options);
+
+        setTimeout(() => {
+          watcher.on('addDir', spy);
+          fs_rename(testDir, renamedDir);
+        }, 1000);
+
+        await waitFor([spy]);
+        spy.should.have.been.calledOnce;
+        spy.should.have.been.calledWith('subdir-renamed');
+        expect(spy.args[0][1]).to.be.ok; // stats
+      });
+      it('should allow separate watchers to have different cwds', async () => {
+        options.cwd = fixturesPath;
+        const options2 = {};
+        Object.keys(options).forEach((key) => {
+          options2[key] = options[key];
+        });
+        options2.cwd = getFixturePath('subdir');
+        watcher = chokidar.watch(getGlobPath('**'), options);
+        const spy1 = await aspy(watcher, 'all');
+
+        await delay();
+        watcher2 = chokidar.watch(fixturesPath, options2);
+        const spy2 = await aspy(watcher2, 'all');
+
+        await write(getFixturePath('change.txt'), Date.now());
+        await fs_unlink(getFixturePath('unlink.txt'));
+        await waitFor([spy1.withArgs('unlink'), spy2.withArgs('unlink')]);
+        spy1.should.have.been.calledWith('change', 'change.txt');
+        spy1.should.have.been.calledWith('unlink', 'unlink.txt');
+        spy2.should.have.been.calledWith('add', sysPath.join('..', 'change.txt'));
+        spy2.should.have.been.calledWith('add', sysPath.join('..', 'unlink.txt'));
+        spy2.should.have.been.calledWith('change', sysPath.join('..', 'change.txt'));
+        spy2.should.have.been.calledWith('unlink', sysPath.join('..', 'unlink.txt'));
+      });
+      it('should ignore files even with cwd', async () => {
+        options.cwd = fixturesPath;
+        options.ignored = 'ignored-option.txt';
+        const files = [
+          '*.txt',
+          '!ignored.txt'
+        ];
+        fs.writeFileSync(getFixturePath('change.txt'), 'hello');
+        fs.writeFileSync(getFixturePath('ignored.txt'), 'ignored');
+        fs.writeFileSync(getFixturePath('ignored-option.txt'), 'ignored option');
+        watcher = chokidar.watch(files, options);
+
+        const spy = await aspy(watcher, 'all');
+        fs.writeFileSync(getFixturePath('ignored.txt'), Date.now());
+        fs.writeFileSync(getFixturePath('ignored-option.txt'), Date.now());
+        await fs_unlink(getFixturePath('ignored.txt'));
+        await fs_unlink(getFixturePath('ignored-option.txt'));
+        await delay();
+        await write(getFixturePath('change.txt'), 'change');
+        await waitFor([spy.withArgs('change', 'change.txt')]);
+        spy.should.have.been.calledWith('add', 'change.txt');
+        spy.should.not.have.been.calledWith('add', 'ignored.txt');
+        spy.should.not.have.been.calledWith('add', 'ignored-option.txt');
+        spy.should.not.have.been.calledWith('change', 'ignored.txt');
+        spy.should.not.have.been.calledWith('change', 'ignored-option.txt');
+        spy.should.not.have.been.calledWith('unlink', 'ignored.txt');
+        spy.should.not.have.been.calledWith('unlink', 'ignored-option.txt');
+        spy.should.have.been.calledWith('change', 'change.txt');
+      });
+    });
+    describe('ignorePermissionErrors', function() {
+      let filePath;
+      beforeEach(async () => {
+        filePath = getFixturePath('add.txt');
+        await write(filePath, 'b', {mode: 128});
+        await delay();
+      });
+      describe('false', function() {
+        beforeEach(function() { options.ignorePermissionErrors = false; });
+        it('should not watch files without read permissions', async () => {
+          if (os === 'win32') return true;
+          const spy = await aspy(stdWatcher(), 'all');
+          spy.should.not.have.been.calledWith('add', filePath);
+          await write(filePath, Date.now());
+
+          await delay(500);
+          spy.should.not.have.been.calledWith('change', filePath);
+        });
+      });
+      describe('true', function() {
+        beforeEach(function() { options.ignorePermissionErrors = true; });
+        it('should watch unreadable files if possible', async () => {
+          const spy = await aspy(stdWatcher(), 'all');
+          spy.should.have.been.calledWith('add', filePath);
+          if (!options.useFsEvents) return true;
+          await write(filePath, Date.now());
+          await waitFor([spy.withArgs('change')]);
+          spy.should.have.been.calledWith('change', filePath);
+        });
+        it('should not choke on non-existent files', async () => {
+          watcher = chokidar.watch(getFixturePath('nope.txt'), options);
+          await aspy(watcher);
+        });
+      });
+    });
+    describe('awaitWriteFinish', function() {
+      beforeEach(function() {
+        options.awaitWriteFinish = {stabilityThreshold: 500};
+        options.ignoreInitial = true;
+      });
+      it('should use default options if none given', function() {
+        options.awaitWriteFinish = true;
+        watcher = stdWatcher();
+        expect(watcher.options.awaitWriteFinish.pollInterval).to.equal(100);
+        expect(watcher.options.awaitWriteFinish.stabilityThreshold).to.equal(2000);
+      });
+      it('should not emit add event before a file is fully written', async () => {
+        const testPath = getFixturePath('add.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        await write(testPath, 'hello');
+        await delay(200);
+        spy.should.not.have.been.calledWith('add');
+      });
+      it('should wait for the file to be fully written before emitting the add event', async () => {
+        const testPath = getFixturePath('add.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        await write(testPath, 'hello');
+
+        await delay(300);
+        spy.should.not.have.been.called;
+        await waitFor([spy]);
+        spy.should.have.been.calledWith('add', testPath);
+      });
+      it('should emit with the final stats', async () => {
+        const testPath = getFixturePath('add.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        await write(testPath, 'hello ');
+
+        await delay(300);
+        fs.appendFileSync(testPath, 'world!');
+
+        await waitFor([spy]);
+        spy.should.have.been.calledWith('add', testPath);
+        expect(spy.args[0][2].size).to.equal(12);
+      });
+      it('should not emit change event while a file has not been fully written', async () => {
+        const testPath = getFixturePath('add.txt');
+        const spy = await aspy(stdWatcher(), 'all');
+        await write(testPath, 'hello');
+        await delay(100);
+        await write(testPath, 'edit');
+        await delay(200);
+        spy.should.not.have.been.calledWith('change', testPath);
       });
       it('should not emit change event before an existing file is fully updated', async () => {
         const testPath = getFixturePath('change.txt');
@@ -1964,6 +2991,292 @@ const runTests = function(baseopts) {
       if (!osXFsWatch) spy.should.have.been.calledOnce;
     });
   });
+  describe('pause', function() {
+    beforeEach(function() {
+      options.ignoreInitial = true;
+    });
+    it('should replay the net effect of events on resume', async () => {
+      const changePath = getFixturePath('change.txt');
+      const unlinkPath = getFixturePath('unlink.txt');
+      const addPath = getFixturePath('add.txt');
+      const spy = await aspy(stdWatcher(), 'all');
+      watcher.pause();
+      await write(changePath, 'c');
+      await delay(300);
+      await write(changePath, 'd');
+      await fs_unlink(unlinkPath);
+      // let the directory read throttling lapse
+      await delay(1100);
+      await write(addPath, 'a');
+      await delay(300);
+      spy.should.not.have.been.called;
+
+      watcher.resume();
+      spy.should.have.been.calledWith('change', changePath);
+      spy.should.have.been.calledWith('unlink', unlinkPath);
+      spy.should.have.been.calledWith('add', addPath);
+      spy.should.have.been.calledThrice;
+
+      await write(changePath, 'e');
+      await waitFor([[spy.withArgs('change', changePath), 2]]);
+      spy.withArgs('change', changePath).should.have.been.calledTwice;
+    });
+    it('should drop held back events with `discard`', async () => {
+      const changePath = getFixturePath('change.txt');
+      const spy = await aspy(stdWatcher(), 'all');
+      watcher.pause();
+      await write(changePath, 'c');
+      await delay(300);
+      watcher.resume({discard: true});
+      spy.should.not.have.been.called;
+
+      await write(changePath, 'd');
+      await waitFor([spy]);
+      spy.should.have.been.calledWith('change', changePath);
+    });
+  });
+  describe('setIgnored', function() {
+    beforeEach(function() {
+      options.ignoreInitial = true;
+    });
+    it('should drop newly ignored paths and add those no longer ignored', async () => {
+      const testPath = getFixturePath('change.txt');
+      const unlinkPath = getFixturePath('unlink.txt');
+      const spy = await aspy(stdWatcher(), 'all');
+      watcher.addIgnored(testPath);
+      await delay(300);
+      await write(testPath, 'c');
+      await delay(300);
+      spy.should.not.have.been.called;
+
+      watcher.setIgnored(unlinkPath);
+      await waitFor([spy.withArgs('add', testPath)]);
+      spy.should.have.been.calledWith('add', testPath);
+      await fs_unlink(unlinkPath);
+      await delay(300);
+      spy.should.not.have.been.calledWith('unlink', unlinkPath);
+    });
+    it('should emit unlinks for newly ignored paths with `emitUnlinks`', async () => {
+      const dirPath = getFixturePath('subdir');
+      const filePath = getFixturePath('subdir/file.txt');
+      await fs_mkdir(dirPath, PERM_ARR);
+      await write(filePath, 'a');
+      const spy = await aspy(stdWatcher(), 'all');
+      watcher.addIgnored(dirPath, {emitUnlinks: true});
+      await waitFor([spy.withArgs('unlinkDir'), spy.withArgs('unlink')]);
+      spy.should.have.been.calledWith('unlinkDir', dirPath);
+      spy.should.have.been.calledWith('unlink', filePath);
+
+      watcher.removeIgnored(dirPath);
+      await waitFor([spy.withArgs('addDir'), spy.withArgs('add')]);
+      spy.should.have.been.calledWith('addDir', dirPath);
+      spy.should.have.been.calledWith('add', filePath);
+    });
+  });
+  describe('explainIgnored', function() {
+    it('should tell which rule ignores a path', async () => {
+      const changePath = getFixturePath('change.txt');
+      const unlinkPath = getFixturePath('unlink.txt');
+      const deepPath = getFixturePath('subdir/deep.txt');
+      await fs_mkdir(getFixturePath('subdir'), PERM_ARR);
+      await write(deepPath, 'a');
+      options.ignored = ['**/*.log', /unlink/];
+      options.depth = 0;
+      await aspy(stdWatcher());
+      watcher.explainIgnored(changePath).should.deep.equal({
+        ignored: false, reason: null, rule: null
+      });
+      watcher.explainIgnored(unlinkPath).should.deep.equal({
+        ignored: true, reason: 'ignored', rule: options.ignored[1]
+      });
+      watcher.explainIgnored(deepPath).should.deep.equal({
+        ignored: true, reason: 'depth', rule: 0
+      });
+      watcher.explainIgnored(sysPath.dirname(fixturesPath)).reason.should.equal('notWatched');
+      watcher.unwatch(changePath);
+      watcher.explainIgnored(changePath).should.deep.equal({
+        ignored: true, reason: 'unwatched', rule: changePath
+      });
+    });
+    it('should tell about unmatched globs and negated paths', async () => {
+      const unlinkPath = getFixturePath('unlink.txt');
+      const globPath = getGlobPath('*.txt');
+      watcher = chokidar.watch([globPath, '!' + getGlobPath('unlink.txt')], options);
+      await aspy(watcher);
+      watcher.explainIgnored(getFixturePath('change.txt')).ignored.should.be.false;
+      watcher.explainIgnored(getFixturePath('change.js')).should.deep.equal({
+        ignored: true, reason: 'glob', rule: globPath
+      });
+      watcher.explainIgnored(unlinkPath).should.deep.equal({
+        ignored: true, reason: 'negated', rule: getGlobPath('unlink.txt')
+      });
+    });
+  });
+  describe('suppress', function() {
+    beforeEach(function() {
+      options.ignoreInitial = true;
+    });
+    it('should not report changes made during the callback', async () => {
+      const testPath = getFixturePath('change.txt');
+      const spy = await aspy(stdWatcher(), 'all');
+      await delay();
+      const result = await watcher.suppress(testPath, async () => {
+        await write(testPath, 'c');
+        return 'done';
+      });
+      result.should.equal('done');
+      await delay(300);
+      spy.should.not.have.been.called;
+
+      await write(testPath, 'd');
+      await waitFor([spy]);
+      spy.should.have.been.calledWith('change', testPath);
+    });
+    it('should suppress everything below a directory', async () => {
+      const addPath = getFixturePath('add.txt');
+      const spy = await aspy(stdWatcher(), 'all');
+      await delay();
+      await watcher.suppress(fixturesPath, () => write(addPath, 'a'));
+      await delay(300);
+      spy.should.not.have.been.called;
+    });
+    it('should skip only the next change with `ignoreNextChange`', async () => {
+      const testPath = getFixturePath('change.txt');
+      const spy = await aspy(stdWatcher(), 'all');
+      await delay();
+      watcher.ignoreNextChange(testPath);
+      await write(testPath, 'c');
+      await delay(300);
+      spy.should.not.have.been.called;
+
+      await write(testPath, 'd');
+      await waitFor([spy]);
+      spy.should.have.been.calledOnce;
+      spy.should.have.been.calledWith('change', testPath);
+    });
+  });
+  describe('events', function() {
+    const collect = async (iterator) => {
+      const events = [];
+      let result;
+      while (!(result = await iterator.next()).done) events.push(result.value);
+      return events;
+    };
+    const addFiles = async (spy, names) => {
+      for (const name of names) {
+        await write(getFixturePath(name), 'x');
+        await waitFor([spy.withArgs('add', getFixturePath(name))]);
+      }
+    };
+    beforeEach(function() {
+      options.ignoreInitial = true;
+    });
+    it('should yield events and detach its listeners on break', async () => {
+      watcher = chokidar.watch(fixturesPath, options);
+      await aspy(watcher);
+      const listeners = watcher.listenerCount('all');
+      const testPath = getFixturePath('add.txt');
+      const iterator = watcher.events();
+      watcher.listenerCount('all').should.equal(listeners + 1);
+      await delay();
+      await write(testPath, 'hello');
+      const result = await iterator.next();
+      result.value.event.should.equal('add');
+      result.value.path.should.equal(testPath);
+      await iterator.return();
+      watcher.listenerCount('all').should.equal(listeners);
+    });
+    it('should make the watcher async iterable', async () => {
+      watcher = chokidar.watch(fixturesPath, options);
+      await aspy(watcher);
+      const testPath = getFixturePath('change.txt');
+      delay().then(() => write(testPath, Date.now()));
+      const iterator = watcher[Symbol.asyncIterator]();
+      const result = await iterator.next();
+      result.value.event.should.equal('change');
+      result.value.path.should.equal(testPath);
+      await iterator.return();
+    });
+    it('should return a finished iterator once closed', async () => {
+      watcher = chokidar.watch(fixturesPath, options);
+      await aspy(watcher);
+      await watcher.close();
+      const listeners = watcher.listenerCount('all');
+      const iterator = watcher.events();
+      watcher.listenerCount('all').should.equal(listeners);
+      const result = await iterator.next();
+      result.done.should.be.true;
+    });
+    it('should yield the changes of batches with the batch option', async () => {
+      options.batch = {wait: 20};
+      watcher = chokidar.watch(fixturesPath, options);
+      await aspy(watcher);
+      const iterator = watcher.events();
+      const testPath = getFixturePath('add.txt');
+      await write(testPath, 'hello');
+      const result = await iterator.next();
+      result.value.should.include({event: 'add', path: testPath});
+      await iterator.return();
+      watcher.listenerCount('batch').should.equal(0);
+    });
+    it('should drop the oldest events when the buffer is full', async () => {
+      watcher = chokidar.watch(fixturesPath, options);
+      const spy = await aspy(watcher, 'all');
+      const iterator = watcher.events({highWaterMark: 2});
+      await addFiles(spy, ['a.txt', 'b.txt', 'c.txt']);
+      await watcher.close();
+      const events = await collect(iterator);
+      events.length.should.equal(2);
+      events[1].should.include({event: 'add', path: getFixturePath('c.txt')});
+      events.map(ev => ev.path).should.not.include(getFixturePath('a.txt'));
+    });
+    it('should emit an overflow marker when configured', async () => {
+      watcher = chokidar.watch(fixturesPath, options);
+      const spy = await aspy(watcher, 'all');
+      const iterator = watcher.events({highWaterMark: 1, overflow: 'marker'});
+      await addFiles(spy, ['a.txt', 'b.txt', 'c.txt']);
+      await watcher.close();
+      const events = await collect(iterator);
+      events.length.should.equal(2);
+      events[0].should.include({event: 'add', path: getFixturePath('a.txt')});
+      events[1].event.should.equal('overflow');
+      events[1].dropped.should.be.at.least(2);
+    });
+    it('should coalesce events per path when configured', async () => {
+      const testPath = getFixturePath('add.txt');
+      watcher = chokidar.watch(fixturesPath, options);
+      const spy = await aspy(watcher, 'all');
+      const iterator = watcher.events({highWaterMark: 1, overflow: 'coalesce'});
+      await write(testPath, 'a');
+      await waitFor([spy.withArgs('add', testPath)]);
+      await delay();
+      await write(testPath, 'changed');
+      await waitFor([spy.withArgs('change', testPath)]);
+      await fs_unlink(testPath);
+      await waitFor([spy.withArgs('unlink', testPath)]);
+      await watcher.close();
+      const events = await collect(iterator);
+      events.should.deep.equal([]);
+    });
+    it('should end the iteration when the signal is aborted', async () => {
+      const listeners = [];
+      const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) => {
+          listeners.splice(listeners.indexOf(listener), 1);
+        }
+      };
+      watcher = chokidar.watch(fixturesPath, options);
+      await aspy(watcher);
+      const iterator = watcher.events({signal: signal});
+      const next = iterator.next();
+      signal.aborted = true;
+      listeners.slice().forEach(listener => listener());
+      (await next).done.should.be.true;
+      listeners.length.should.equal(0);
+    });
+  });
   describe('close', function() {
     it('should ignore further events on close', async () => {
       return new Promise(async (resolve) => {
@@ -1983,6 +3296,28 @@ const runTests = function(baseopts) {
         await fs_unlink(getFixturePath('add.txt'));
       });
     });
+    it('should return a promise that resolves once closed', async () => {
+      watcher = chokidar.watch(fixturesPath, options);
+      await aspy(watcher);
+      const closing = watcher.close();
+      closing.should.be.an.instanceof(Promise);
+      await closing;
+      watcher.closed.should.be.true;
+      watcher.close().should.equal(closing);
+    });
+    it('should cancel pending awaitWriteFinish events on close', async () => {
+      options.ignoreInitial = true;
+      options.awaitWriteFinish = {stabilityThreshold: 400, pollInterval: 50};
+      const spy = sinon.spy();
+      watcher = chokidar.watch(fixturesPath, options);
+      await aspy(watcher);
+      watcher.on('all', spy);
+      await write(getFixturePath('add.txt'), 'hello');
+      await delay(200);
+      await watcher.close();
+      await delay(600);
+      spy.should.not.have.been.called;
+    });
     it('should not prevent the process from exiting', async () => {
       const scriptFile = getFixturePath('script.js');
       const scriptContent = '\
@@ -1995,6 +3330,19 @@ const runTests = function(baseopts) {
       const stdout = obj.stdout;
       expect(stdout.toString()).to.equal('closed');
     });
+    it('should not leave watchers behind when closed by an initial event', async () => {
+      const scriptFile = getFixturePath('script.js');
+      const quote = (path) => JSON.stringify(path);
+      for (const target of [[fixturesPath, 'addDir'], [getFixturePath('change.txt'), 'add']]) {
+        const scriptContent = 'const chokidar = require(' + quote(__dirname) + ');\n' +
+          'const watcher = chokidar.watch(' + quote(target[0]) + ', ' + JSON.stringify(options) + ');\n' +
+          'watcher.once(' + quote(target[1]) + ', () => watcher.close());\n' +
+          'process.on("exit", () => process.stdout.write("exited"));\n';
+        await write(scriptFile, scriptContent);
+        const obj = await exec('node ' + scriptFile, {timeout: 4000});
+        expect(obj.stdout.toString()).to.equal('exited');
+      }
+    });
   });
   describe('env variable option override', function() {
     describe('CHOKIDAR_USEPOLLING', function() {
@@ -2038,6 +3386,15 @@ const runTests = function(baseopts) {
         watcher.options.usePolling.should.be.false;
       });
 
+      it('should make options.usePolling `scan` when CHOKIDAR_USEPOLLING is set to scan', async () => {
+        options.usePolling = false;
+        process.env.CHOKIDAR_USEPOLLING = 'scan';
+
+        watcher = chokidar.watch(fixturesPath, options);
+        await aspy(watcher);
+        watcher.options.usePolling.should.equal('scan');
+      });
+
       it('should not attenuate options.usePolling when CHOKIDAR_USEPOLLING is set to an arbitrary value', async () => {
         options.usePolling = true;
         process.env.CHOKIDAR_USEPOLLING = 'foo';
@@ -2064,6 +3421,264 @@ const runTests = function(baseopts) {
   });
 };
 
+// In-memory file system with a simulated watch API, for the `fs` option.
+// Writes notify the watchers of the entry and of its directory at once, and
+// the watchFile listeners of the entries whose stats changed.
+// Like on disk, adding and removing entries changes the directory's mtime.
+const createVolume = () => {
+  const entries = Object.create(null);
+  const watchers = [];
+  const fileWatchers = [];
+  let inode = 0;
+  const lookup = (path) => {
+    const entry = entries[sysPath.resolve(path)];
+    if (entry) return entry;
+    const error = new Error('ENOENT: no such file or directory, ' + path);
+    error.code = 'ENOENT';
+    throw error;
+  };
+  const async = (fn) => function(path, callback) {
+    let result;
+    try {
+      result = fn(path);
+    } catch (error) {
+      return process.nextTick(callback, error);
+    }
+    process.nextTick(callback, null, result);
+  };
+  const notify = (path, rawEvent) => {
+    watchers.slice().forEach((watcher) => {
+      if (watcher.path === path || watcher.path === sysPath.dirname(path)) {
+        watcher.listener(rawEvent, sysPath.basename(path));
+      }
+    });
+  };
+  // calls the listeners of watchFile with the stats of an entry that changed,
+  // zeroed ones for one that is gone
+  const poll = (path, prev) => {
+    const zeroed = Object.assign({}, prev, {size: 0, mtime: new Date(0), ctime: new Date(0)});
+    const curr = entries[path] ? entries[path].stats : zeroed;
+    fileWatchers.slice().forEach((fileWatcher) => {
+      if (fileWatcher.path === path) fileWatcher.listener(curr, prev || zeroed);
+    });
+  };
+  const touch = (path) => {
+    const entry = entries[path];
+    if (!entry) return;
+    const prev = entry.stats;
+    const time = new Date(prev.mtime.getTime() + 1000);
+    entry.stats = Object.assign({}, prev, {mtime: time, ctime: time});
+    poll(path, prev);
+  };
+  const set = (path, isDir, content) => {
+    path = sysPath.resolve(path);
+    const prev = entries[path];
+    const time = new Date(prev ? prev.stats.mtime.getTime() + 1000 : Date.now());
+    if (!prev) touch(sysPath.dirname(path));
+    entries[path] = {stats: {
+      ino: prev ? prev.stats.ino : ++inode,
+      mode: isDir ? 0o40755 : 0o100644,
+      uid: 0,
+      gid: 0,
+      nlink: 1,
+      size: isDir ? 0 : content.length,
+      atime: time,
+      mtime: time,
+      ctime: time,
+      isDirectory: () => isDir,
+      isFile: () => !isDir,
+      isSymbolicLink: () => false
+    }};
+    notify(path, prev ? 'change' : 'rename');
+    poll(path, prev && prev.stats);
+  };
+  const statSync = (path) => lookup(path).stats;
+  const realpathSync = (path) => lookup(path) && sysPath.resolve(path);
+  const readdirSync = (path) => {
+    const dir = sysPath.resolve(path);
+    if (!lookup(dir).stats.isDirectory()) throw new Error('ENOTDIR: ' + path);
+    return Object.keys(entries).filter((entry) => sysPath.dirname(entry) === dir && entry !== dir)
+      .map((entry) => sysPath.basename(entry));
+  };
+  return {
+    watchers: watchers,
+    mkdir: (path) => set(path, true),
+    writeFile: (path, content) => set(path, false, content),
+    fileWatchers: fileWatchers,
+    unlink: (path) => {
+      const prev = lookup(path).stats;
+      delete entries[sysPath.resolve(path)];
+      touch(sysPath.dirname(sysPath.resolve(path)));
+      notify(sysPath.resolve(path), 'rename');
+      poll(sysPath.resolve(path), prev);
+    },
+    stat: async(statSync),
+    lstat: async(statSync),
+    statSync: statSync,
+    realpath: async(realpathSync),
+    realpathSync: realpathSync,
+    readdir: async(readdirSync),
+    watch: (path, options, listener) => {
+      const watcher = new EventEmitter();
+      watcher.path = sysPath.resolve(path);
+      watcher.listener = listener;
+      watcher.close = () => watchers.splice(watchers.indexOf(watcher), 1);
+      watchers.push(watcher);
+      return watcher;
+    },
+    watchFile: (path, options, listener) => {
+      const fileWatcher = new EventEmitter();
+      fileWatcher.path = sysPath.resolve(path);
+      fileWatcher.listener = listener;
+      fileWatchers.push(fileWatcher);
+      return fileWatcher;
+    },
+    unwatchFile: (path, listener) => {
+      fileWatchers.slice().forEach((fileWatcher) => {
+        if (fileWatcher.path !== sysPath.resolve(path)) return;
+        if (listener && fileWatcher.listener !== listener) return;
+        fileWatchers.splice(fileWatchers.indexOf(fileWatcher), 1);
+      });
+    }
+  };
+};
+
+// Minimal backend used to check the backend contract: it polls snapshots of
+// the watched tree and reports the differences.
+const snapshotBackend = {
+  capabilities: {atomic: false, polling: true},
+  watch(root, context) {
+    let entries = new Map();
+    const scan = (path, found) => {
+      let stats;
+      try {
+        stats = fs.statSync(path);
+      } catch (error) {
+        return;
+      }
+      found.set(path, stats);
+      if (!stats.isDirectory()) return;
+      fs.readdirSync(path).forEach((item) => scan(sysPath.join(path, item), found));
+    };
+    const compare = () => {
+      const found = new Map();
+      scan(root, found);
+      entries.forEach((stats, path) => {
+        if (found.has(path)) return;
+        context.raw('rename', path);
+        context.emit(stats.isDirectory() ? 'unlinkDir' : 'unlink', path);
+      });
+      found.forEach((stats, path) => {
+        const prev = entries.get(path);
+        if (!prev) {
+          context.emit(stats.isDirectory() ? 'addDir' : 'add', path, stats);
+        } else if (!stats.isDirectory() && stats.mtimeMs !== prev.mtimeMs) {
+          context.raw('change', path);
+          context.emit('change', path, stats);
+        }
+      });
+      entries = found;
+    };
+    compare();
+    context.ready();
+    const timer = setInterval(compare, context.options.interval);
+    return {close: () => clearInterval(timer)};
+  }
+};
+chokidar.registerBackend('snapshot', snapshotBackend);
+
+// Behaviour every backend has to provide, whether built-in or custom
+const runConformanceTests = function(baseopts) {
+  beforeEach(function() {
+    options = Object.assign({persistent: true, interval: 10}, baseopts);
+  });
+
+  it('should report the initial entries, then ready', async () => {
+    const spy = sinon.spy();
+    await fs_mkdir(getFixturePath('subdir'), PERM_ARR);
+    watcher = chokidar.watch(fixturesPath, options).on('all', spy);
+    await aspy(watcher);
+    spy.should.have.been.calledWith('addDir', fixturesPath);
+    spy.should.have.been.calledWith('addDir', getFixturePath('subdir'));
+    spy.should.have.been.calledWith('add', getFixturePath('change.txt'));
+    spy.should.have.been.calledWith('add', getFixturePath('unlink.txt'));
+  });
+  it('should not report the initial entries with ignoreInitial', async () => {
+    const spy = sinon.spy();
+    options.ignoreInitial = true;
+    watcher = chokidar.watch(fixturesPath, options).on('all', spy);
+    await aspy(watcher);
+    const testPath = getFixturePath('add.txt');
+    await write(testPath, 'hello');
+    await waitFor([spy]);
+    spy.should.have.been.calledOnce;
+    spy.should.have.been.calledWith('add', testPath);
+  });
+  it('should report added, changed and removed files', async () => {
+    const spy = sinon.spy();
+    watcher = chokidar.watch(fixturesPath, options);
+    await aspy(watcher);
+    watcher.on('all', spy);
+    const testPath = getFixturePath('change.txt');
+    await delay(1000);
+    await write(testPath, 'changed');
+    await waitFor([spy.withArgs('change')]);
+    spy.should.have.been.calledWith('change', testPath);
+    await fs_unlink(testPath);
+    await waitFor([spy.withArgs('unlink')]);
+    spy.should.have.been.calledWith('unlink', testPath);
+  });
+  it('should report added and removed directories with their contents', async () => {
+    const spy = sinon.spy();
+    const dirPath = getFixturePath('subdir');
+    const testPath = getFixturePath('subdir/add.txt');
+    watcher = chokidar.watch(fixturesPath, options);
+    await aspy(watcher);
+    watcher.on('all', spy);
+    await fs_mkdir(dirPath, PERM_ARR);
+    await waitFor([spy.withArgs('addDir')]);
+    await write(testPath, 'hello');
+    await waitFor([spy.withArgs('add')]);
+    spy.should.have.been.calledWith('addDir', dirPath);
+    spy.should.have.been.calledWith('add', testPath);
+    await rimraf(dirPath);
+    await waitFor([spy.withArgs('unlinkDir'), spy.withArgs('unlink')]);
+    spy.should.have.been.calledWith('unlinkDir', dirPath);
+    spy.should.have.been.calledWith('unlink', testPath);
+  });
+  it('should honor ignored and depth', async () => {
+    const spy = sinon.spy();
+    await fs_mkdir(getFixturePath('subdir'), PERM_ARR);
+    await fs_mkdir(getFixturePath('subdir/subsub'), PERM_ARR);
+    await write(getFixturePath('subdir/add.txt'), 'b');
+    await write(getFixturePath('subdir/subsub/deep.txt'), 'b');
+    options.ignored = getFixturePath('unlink.txt');
+    options.depth = 1;
+    watcher = chokidar.watch(fixturesPath, options).on('all', spy);
+    await aspy(watcher);
+    spy.should.have.been.calledWith('add', getFixturePath('subdir/add.txt'));
+    spy.should.have.been.calledWith('addDir', getFixturePath('subdir/subsub'));
+    spy.should.not.have.been.calledWith('add', getFixturePath('unlink.txt'));
+    spy.should.not.have.been.calledWith('add', getFixturePath('subdir/subsub/deep.txt'));
+  });
+  it('should stop reporting a path after unwatch and everything after close', async () => {
+    const spy = sinon.spy();
+    const dirPath = getFixturePath('subdir');
+    await fs_mkdir(dirPath, PERM_ARR);
+    watcher = chokidar.watch([fixturesPath + '/change.txt', dirPath], options);
+    await aspy(watcher);
+    watcher.on('all', spy);
+    watcher.unwatch(dirPath);
+    await write(getFixturePath('subdir/add.txt'), 'hello');
+    await delay(300);
+    spy.should.not.have.been.called;
+    await watcher.close();
+    await write(getFixturePath('change.txt'), 'changed');
+    await delay(300);
+    spy.should.not.have.been.called;
+  });
+};
+
 describe('chokidar', function() {
   this.timeout(6000);
   it('should expose public API methods', function() {
@@ -2078,4 +3693,139 @@ describe('chokidar', function() {
     describe('fs.watch (non-polling)', runTests.bind(this, {usePolling: false, useFsEvents: false}));
   }
   describe('fs.watchFile (polling)', runTests.bind(this, {usePolling: true, interval: 10}));
+  describe('directory scan (polling)', runTests.bind(this, {usePolling: 'scan', interval: 10}));
+
+  describe('backends', function() {
+    if (os === 'darwin') {
+      describe('fsevents', runConformanceTests.bind(this, {backend: 'fsevents'}));
+    }
+    if (os !== 'darwin') {
+      describe('nodefs', runConformanceTests.bind(this, {backend: 'nodefs'}));
+    }
+    describe('polling', runConformanceTests.bind(this, {backend: 'polling'}));
+    describe('custom', runConformanceTests.bind(this, {backend: snapshotBackend}));
+    describe('registered', runConformanceTests.bind(this, {backend: 'snapshot'}));
+    describe('falling back to the built-in one', runConformanceTests.bind(this, {
+      backend: {watch: (path, context) => context.builtin()}
+    }));
+
+    it('should set the built-in options from the chosen backend', function() {
+      watcher = chokidar.watch([], {backend: 'polling', atomic: true});
+      watcher.options.usePolling.should.be.true;
+      watcher.options.useFsEvents.should.be.false;
+      watcher.options.atomic.should.be.true;
+      watcher.options.backend.watch.should.be.a('function');
+    });
+    it('should close the handle of an unwatched path', async () => {
+      const handle = {close: sinon.spy()};
+      const backend = {watch: sinon.spy((path, context) => {
+        context.ready();
+        return handle;
+      })};
+      watcher = chokidar.watch(fixturesPath, {backend: backend});
+      await aspy(watcher);
+      backend.watch.should.have.been.calledOnce;
+      backend.watch.firstCall.args[1].path.should.equal(fixturesPath);
+      backend.watch.firstCall.args[1].builtin.should.be.a('function');
+      watcher.unwatch(fixturesPath);
+      handle.close.should.have.been.calledOnce;
+      await watcher.close();
+      handle.close.should.have.been.calledOnce;
+    });
+    it('should start built-in backends right away and custom ones on the next tick', async () => {
+      const backend = {watch: sinon.spy(() => ({close() {}}))};
+      watcher = chokidar.watch(fixturesPath, {backend: 'polling', interval: 10});
+      expect(watcher._handles[fixturesPath]).to.be.an('object');
+      await watcher.close();
+      watcher = chokidar.watch(fixturesPath, {backend: backend});
+      backend.watch.should.not.have.been.called;
+      await delay(0);
+      backend.watch.should.have.been.calledOnce;
+    });
+    it('should throw on unknown or invalid backends', function() {
+      expect(() => chokidar.watch([], {backend: 'nope'})).to.throw(TypeError, /Unknown backend/);
+      expect(() => chokidar.watch([], {backend: {}})).to.throw(TypeError, /watch\(path, context\)/);
+      expect(() => chokidar.registerBackend('nodefs', snapshotBackend)).to.throw(/built-in/);
+      expect(() => chokidar.watch([], {backend: {watch() {}, canUse: () => false}}))
+        .to.throw(/cannot be used/);
+    });
+  });
+
+  describe('fs option', function() {
+    let volume;
+    const root = sysPath.resolve('/chokidar-volume');
+    beforeEach(function() {
+      volume = createVolume();
+      volume.mkdir(root);
+      volume.writeFile(sysPath.join(root, 'change.txt'), 'b');
+      options = {fs: volume, usePolling: false, persistent: true};
+    });
+
+    it('should watch the injected file system', async () => {
+      const spy = sinon.spy();
+      watcher = chokidar.watch(root, options).on('all', spy);
+      await aspy(watcher);
+      watcher.options.useFsEvents.should.be.false;
+      spy.should.have.been.calledWith('addDir', root);
+      spy.should.have.been.calledWith('add', sysPath.join(root, 'change.txt'));
+
+      const testPath = sysPath.join(root, 'add.txt');
+      volume.writeFile(testPath, 'hello');
+      await waitFor([spy.withArgs('add', testPath)]);
+      spy.should.have.been.calledWith('add', testPath);
+      volume.writeFile(testPath, 'hello again');
+      await waitFor([spy.withArgs('change', testPath)]);
+      spy.should.have.been.calledWith('change', testPath);
+      volume.unlink(testPath);
+      await waitFor([spy.withArgs('unlink', testPath)]);
+      spy.should.have.been.calledWith('unlink', testPath);
+    });
+    it('should not share native watchers between file systems', async () => {
+      const other = createVolume();
+      other.mkdir(root);
+      watcher = chokidar.watch(root, options);
+      watcher2 = chokidar.watch(root, Object.assign({}, options, {fs: other}));
+      await Promise.all([aspy(watcher), aspy(watcher2)]);
+      volume.watchers.length.should.equal(2);
+      other.watchers.length.should.equal(1);
+      await watcher.close();
+      volume.watchers.length.should.equal(0);
+      other.watchers.length.should.equal(1);
+    });
+    it('should poll the injected file system with watchFile', async () => {
+      const spy = sinon.spy();
+      const changePath = sysPath.join(root, 'change.txt');
+      const testPath = sysPath.join(root, 'add.txt');
+      options.usePolling = true;
+      options.interval = 10;
+      watcher = chokidar.watch(root, options);
+      await aspy(watcher);
+      watcher.on('all', spy);
+      volume.fileWatchers.length.should.equal(2);
+      volume.writeFile(changePath, 'changed');
+      volume.writeFile(testPath, 'hello');
+      await waitFor([spy.withArgs('change', changePath), spy.withArgs('add', testPath)]);
+      spy.should.have.been.calledWith('change', changePath);
+      spy.should.have.been.calledWith('add', testPath);
+      volume.unlink(changePath);
+      await waitFor([spy.withArgs('unlink', changePath)]);
+      spy.should.have.been.calledWith('unlink', changePath);
+      volume.watchers.length.should.equal(0);
+      await watcher.close();
+      volume.fileWatchers.length.should.equal(0);
+    });
+    it('should poll the injected file system', async () => {
+      const spy = sinon.spy();
+      options.usePolling = 'scan';
+      options.interval = 10;
+      watcher = chokidar.watch(root, options);
+      await aspy(watcher);
+      watcher.on('all', spy);
+      const testPath = sysPath.join(root, 'add.txt');
+      volume.writeFile(testPath, 'hello');
+      await waitFor([spy.withArgs('add', testPath)]);
+      spy.should.have.been.calledWith('add', testPath);
+      volume.watchers.length.should.equal(0);
+    });
+  });
 });
@@ -1,6 +1,7 @@
 // TypeScript Version: 3.0
 
 /// <reference types="node" />
+/// <reference lib="esnext.asynciterable" />
 
 import * as fs from "fs";
 import { EventEmitter } from "events";
@@ -21,9 +22,9 @@ export class FSWatcher extends EventEmitter implements fs.FSWatcher {
 
   /**
    * Add files, directories, or glob patterns for tracking. Takes an array of strings or just one
-   * string.
+   * string, and optionally options that apply to these paths only.
    */
-  add(paths: string | string[]): void;
+  add(paths: string | string[], options?: PathOptions): void;
 
   /**
    * Stop watching files, directories, or glob patterns. Takes an array of strings or just one
@@ -40,13 +41,73 @@ export class FSWatcher extends EventEmitter implements fs.FSWatcher {
   getWatched(): WatchedPaths;
 
   /**
-   * Removes all listeners from watched files.
+   * Runs `fn` without reporting the changes it makes to `paths` or anything below them.
+   */
+  suppress<T>(paths: string | string[], fn: () => T | Promise<T>): Promise<T>;
+
+  /**
+   * Replaces the `ignored` rules and re-evaluates the watched paths.
    */
-  close(): void;
+  setIgnored(rules: any, options?: IgnoreUpdateOptions): this;
 
-  on(event: 'add'|'addDir'|'change', listener: (path: string, stats?: fs.Stats) => void): this;
+  /**
+   * Adds to the `ignored` rules and re-evaluates the watched paths.
+   */
+  addIgnored(rules: any, options?: IgnoreUpdateOptions): this;
 
-  on(event: 'all', listener: (eventName: 'add'|'addDir'|'change'|'unlink'|'unlinkDir', path: string, stats?: fs.Stats) => void): this;
+  /**
+   * Removes from the `ignored` rules and re-evaluates the watched paths.
+   */
+  removeIgnored(rules: any, options?: IgnoreUpdateOptions): this;
+
+  /**
+   * Tells whether a path is ignored, and why.
+   */
+  explainIgnored(path: string): IgnoredExplanation;
+
+  /**
+   * Skips the next `add` or `change` event of a file.
+   */
+  ignoreNextChange(path: string): this;
+
+  /**
+   * Holds back events, reduced per path to their net effect, until `resume()` is called.
+   */
+  pause(): this;
+
+  /**
+   * Emits the events held back since `pause()`, or drops them with `{discard: true}`.
+   */
+  resume(options?: {discard?: boolean}): this;
+
+  /**
+   * Records every watched entry for the `since` option of a later watcher, optionally writing it
+   * to `file` as well.
+   */
+  snapshot(file?: string): Promise<Snapshot>;
+
+  /**
+   * Returns an async iterator over emitted events, buffering at most `highWaterMark` events
+   * until they are consumed. Breaking out of the loop detaches its listeners.
+   */
+  events(options?: EventsOptions): AsyncIterableIterator<WatchEvent>;
+
+  [Symbol.asyncIterator](): AsyncIterableIterator<WatchEvent>;
+
+  /**
+   * Removes all listeners from watched files and cancels pending timers and scans. The returned
+   * promise resolves once all underlying watchers have been released.
+   */
+  close(): Promise<void>;
+
+  on(event: 'add'|'addDir'|'change', listener: (path: string, stats?: fs.Stats, details?: EventDetails) => void): this;
+
+  on(event: 'all', listener: (eventName: 'add'|'addDir'|'change'|'attrib'|'unlink'|'unlinkDir', path: string, stats?: fs.Stats, details?: EventDetails) => void): this;
+
+  /**
+   * Events collected while the `batch` option is enabled, reduced per path
+   */
+  on(event: 'batch', listener: (changes: WatchEvent[]) => void): this;
 
   /**
    * Error occured
@@ -65,9 +126,137 @@ export class FSWatcher extends EventEmitter implements fs.FSWatcher {
 
   on(event: 'unlink'|'unlinkDir', listener: (path: string) => void): this;
 
+  /**
+   * The mode, owner or link count of a file or directory changed (requires `attrib`)
+   */
+  on(event: 'attrib', listener: (path: string, stats: fs.Stats, details: EventDetails) => void): this;
+
+  /**
+   * A file or directory was moved within the watched paths (requires `detectRenames`)
+   */
+  on(event: 'rename'|'renameDir', listener: (oldPath: string, newPath: string, stats?: fs.Stats) => void): this;
+
+  /**
+   * A symlink now points elsewhere
+   */
+  on(event: 'symlinkChange', listener: (path: string, oldTarget: string, newTarget: string) => void): this;
+
+  /**
+   * The native watcher of a path failed, which is polled instead (requires `fallbackToPolling`)
+   */
+  on(event: 'fallback', listener: (path: string, error: Error) => void): this;
+
+  /**
+   * A symlink was not followed since it leads outside of the roots it is confined to
+   */
+  on(event: 'symlinkOutsideRoot', listener: (path: string, target: string) => void): this;
+
+  /**
+   * Bytes appended to a followed file (requires `tail`)
+   */
+  on(event: 'append', listener: (path: string, data: Buffer, stats: fs.Stats) => void): this;
+
+  /**
+   * A followed file shrank or was replaced; it is read again from the start (requires `tail`)
+   */
+  on(event: 'truncate'|'rotate', listener: (path: string, stats: fs.Stats) => void): this;
+
   on(event: string, listener: (...args: any[]) => void): this;
 }
 
+export interface WatchEvent {
+  /**
+   * Event name, or `overflow` for the marker inserted by the `marker` overflow policy.
+   */
+  event: 'add'|'addDir'|'change'|'attrib'|'unlink'|'unlinkDir'|'rename'|'renameDir'|'symlinkChange'|
+    'append'|'truncate'|'rotate'|'overflow';
+
+  path: string;
+
+  /**
+   * Previous path of a `rename` or `renameDir` event.
+   */
+  oldPath?: string;
+
+  /**
+   * Previous and new target of a `symlinkChange` event.
+   */
+  oldTarget?: string;
+
+  target?: string;
+
+  /**
+   * Bytes added to the file by an `append` event.
+   */
+  data?: Buffer;
+
+  stats?: fs.Stats;
+
+  details?: EventDetails;
+
+  /**
+   * Number of events dropped in place of an `overflow` marker.
+   */
+  dropped?: number;
+}
+
+export interface Snapshot {
+  version: number;
+
+  /**
+   * Watched entries keyed by absolute path.
+   */
+  entries: {
+    [path: string]: {
+      type: 'file'|'dir';
+      ino: number;
+      size: number;
+      mtime: number;
+    };
+  };
+}
+
+export interface EventDetails {
+  /**
+   * Digest of the file contents (requires `compareContents`); undefined for files over `maxSize`.
+   */
+  digest?: string;
+
+  /**
+   * Stats of the file before a `change`.
+   */
+  prevStats?: fs.Stats;
+
+  /**
+   * What a `change` was about: the contents (size or mtime), the metadata only (mode, owner, link
+   * count), or the file being replaced (its inode changed).
+   */
+  changeType?: 'content' | 'metadata' | 'replaced';
+}
+
+export interface EventsOptions {
+  /**
+   * Maximum number of events buffered while the consumer is busy. Default: 1024.
+   */
+  highWaterMark?: number;
+
+  /**
+   * What to do with new events once the buffer is full: drop the oldest buffered event
+   * (default), merge the event with a buffered one for the same path, or drop new events and
+   * report how many were lost with a single `overflow` marker.
+   */
+  overflow?: 'drop-oldest'|'coalesce'|'marker';
+
+  /**
+   * Ends the iteration when aborted.
+   */
+  signal?: {
+    aborted: boolean;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+  };
+}
+
 export interface WatchOptions {
   /**
    * Indicates whether the process should continue to run as long as files are being watched. If
@@ -85,17 +274,35 @@ export interface WatchOptions {
    */
   ignored?: any;
 
+  /**
+   * Names of ignore files (e.g. `['.gitignore']`) whose rules, with `.gitignore` semantics, apply
+   * to the directory they are found in. Editing one re-evaluates the paths below it.
+   */
+  ignoreFiles?: string | string[];
+
   /**
    * If set to `false` then `add`/`addDir` events are also emitted for matching paths while
    * instantiating the watching as chokidar discovers these file paths (before the `ready` event).
    */
   ignoreInitial?: boolean;
 
+  /**
+   * Snapshot (or path of a snapshot file) to compare the initial scan with, so that only the
+   * entries added, changed or removed since then are reported. Overrides `ignoreInitial`.
+   */
+  since?: Snapshot | string;
+
   /**
    * When `false`, only the symlinks themselves will be watched for changes instead of following
-   * the link references and bubbling events through the link's path.
+   * the link references and bubbling events through the link's path. When `'within-roots'`,
+   * symlinks are only followed when they lead inside the watched paths or `allowedRoots`.
    */
-  followSymlinks?: boolean;
+  followSymlinks?: boolean | 'within-roots';
+
+  /**
+   * Paths outside of the watched paths which symlinks may be followed into.
+   */
+  allowedRoots?: string | string[];
 
   /**
    * The base directory from which watch `paths` are to be derived. Paths emitted with events will
@@ -114,9 +321,40 @@ export interface WatchOptions {
    * utilization, consider setting this to `false`. It is typically necessary to **set this to
    * `true` to successfully watch files over a network**, and it may be necessary to successfully
    * watch files in other non-standard situations. Setting to `true` explicitly on OS X overrides
-   * the `useFsEvents` default.
+   * the `useFsEvents` default. When `'scan'`, the watched directories are read on one shared
+   * schedule, stating the files in them, instead of with an fs.watchFile timer per entry.
    */
-  usePolling?: boolean;
+  usePolling?: boolean | 'scan';
+
+  /**
+   * Whether to poll paths whose fs.watch watcher fails, e.g. once the inotify watch limit is
+   * reached, emitting `fallback`.
+   */
+  fallbackToPolling?: boolean;
+
+  /**
+   * Maximum number of fs.watch watchers open in the process. The least recently active paths
+   * over it are polled every 2 seconds, or slower, until they change.
+   */
+  maxNativeWatchers?: number;
+
+  /**
+   * Whether to watch each root with one recursive fs.watch watcher where available, instead of
+   * one watcher per directory and file.
+   */
+  useRecursiveWatch?: boolean;
+
+  /**
+   * The watch implementation to use: `'nodefs'`, `'polling'`, `'fsevents'`, the name of a backend
+   * registered with `registerBackend()` or a backend object.
+   */
+  backend?: string | Backend;
+
+  /**
+   * The file system to watch instead of Node's `fs`, such as an in-memory volume with a simulated
+   * watch API. `fsevents` is not used with it.
+   */
+  fs?: WatchFileSystem;
 
   /**
    * Whether to use the `fsevents` watching interface if available. When set to `true` explicitly
@@ -148,6 +386,17 @@ export interface WatchOptions {
    */
   binaryInterval?: number;
 
+  /**
+   * Upper bound of adaptive polling: the interval of entries that do not change backs off toward
+   * it, while entries that changed are polled every `minInterval` again.
+   */
+  maxInterval?: number;
+
+  /**
+   * Interval of polling recently changed entries when `maxInterval` is set.
+   */
+  minInterval?: number;
+
   /**
    *  Indicates whether to watch files that don't have read permissions if possible. If watching
    *  fails due to `EPERM` or `EACCES` with this set to `true`, the errors will be suppressed
@@ -168,6 +417,82 @@ export interface WatchOptions {
    * can be set to an object in order to adjust timing params:
    */
   awaitWriteFinish?: AwaitWriteFinishOptions | boolean;
+
+  /**
+   * Collect events and emit them as a single `batch` event holding the net change set, with
+   * events for the same path reduced to their net effect.
+   */
+  batch?: BatchOptions | boolean;
+
+  /**
+   * Emit `rename`/`renameDir` instead of a removal and an addition when an entry is moved within
+   * the watched paths. A number sets the matching window in milliseconds (default: 100).
+   */
+  detectRenames?: boolean | number;
+
+  /**
+   * Hash file contents on `add` and `change`, and only emit `change` when the digest differs.
+   * Accepts a `crypto.createHash` algorithm name (`true` means `'sha1'`), a function returning a
+   * digest or a promise for one, or an object adding a size limit.
+   */
+  compareContents?: CompareContentsOptions | HashAlgorithm | boolean;
+
+  /**
+   * Emit `append` with the new bytes when a file grows, and `truncate`/`rotate` when it shrinks
+   * or is replaced. `true` follows all files, an anymatch-compatible definition the matching ones.
+   */
+  tail?: any;
+
+  /**
+   * Emit `attrib` instead of `change` for changes of the mode, owner or link count only.
+   */
+  attrib?: boolean;
+}
+
+/**
+ * Options of `add()` that apply to the added paths and everything below them.
+ */
+export interface PathOptions {
+  depth?: number;
+
+  /**
+   * Ignored in addition to the watcher's `ignored` paths.
+   */
+  ignored?: any;
+
+  followSymlinks?: boolean | 'within-roots';
+
+  awaitWriteFinish?: AwaitWriteFinishOptions | boolean;
+
+  usePolling?: boolean | 'scan';
+
+  interval?: number;
+
+  binaryInterval?: number;
+
+  minInterval?: number;
+
+  maxInterval?: number;
+}
+
+export interface IgnoredExplanation {
+  ignored: boolean;
+
+  reason: 'atomic' | 'negated' | 'unwatched' | 'ignored' | 'ignoreFile' | 'notWatched' | 'depth' |
+    'glob' | 'permissions' | null;
+
+  /**
+   * The rule causing the path to be ignored: an `ignored` entry, the path of an ignore file, the
+   * `depth` limit or the watched glob.
+   */
+  rule: any;
+}
+
+export interface IgnoreUpdateOptions {
+  /**
+   * Emit `unlink`/`unlinkDir` events for the watched paths that became ignored.
+   */
+  emitUnlinks?: boolean;
 }
 
 export interface AwaitWriteFinishOptions {
@@ -182,6 +507,116 @@ export interface AwaitWriteFinishOptions {
   pollInterval?: number;
 }
 
+export type HashAlgorithm = string | ((path: string, stats: fs.Stats) => string | Promise<string>);
+
+export interface CompareContentsOptions {
+  /**
+   * Hash algorithm name or function. Default: 'sha1'.
+   */
+  algorithm?: HashAlgorithm;
+
+  /**
+   * Files larger than this many bytes are not hashed and always count as changed. Default: 16 MiB.
+   */
+  maxSize?: number;
+}
+
+export interface BatchOptions {
+  /**
+   * Amount of time in milliseconds without new events after which the batch is emitted.
+   */
+  wait?: number;
+
+  /**
+   * Maximum amount of time in milliseconds an event may be held back.
+   */
+  maxWait?: number;
+}
+
+/**
+ * The subset of `fs` the watcher uses. Methods of features not in use may be left out.
+ */
+export interface WatchFileSystem {
+  stat: typeof fs.stat;
+  lstat: typeof fs.lstat;
+  readdir: typeof fs.readdir;
+  realpath: typeof fs.realpath;
+  statSync: typeof fs.statSync;
+  realpathSync: typeof fs.realpathSync;
+  watch?: typeof fs.watch;
+  watchFile?: typeof fs.watchFile;
+  unwatchFile?: typeof fs.unwatchFile;
+  createReadStream?: typeof fs.createReadStream;
+  readFile?: typeof fs.readFile;
+  readFileSync?: typeof fs.readFileSync;
+  writeFile?: typeof fs.writeFile;
+  rename?: typeof fs.rename;
+}
+
+export interface BackendContext {
+  /**
+   * The path or glob pattern as passed to `add()`.
+   */
+  path: string;
+
+  /**
+   * The options in effect for the watched root.
+   */
+  options: WatchOptions;
+
+  /**
+   * Reports an entry of the root, which is filtered and tracked like those of the built-in backends.
+   */
+  emit(event: 'add'|'addDir'|'change'|'unlink'|'unlinkDir', path: string, stats?: fs.Stats): void;
+
+  raw(event: string, path: string, details?: any): void;
+
+  error(error: Error): void;
+
+  /**
+   * Signals that the entries present at first have been reported.
+   */
+  ready(): void;
+
+  isIgnored(path: string, stats?: fs.Stats): boolean;
+
+  /**
+   * Watches the root with the implementation chokidar would use itself, which reports the
+   * entries and signals readiness on its own.
+   */
+  builtin(): BackendHandle;
+}
+
+export interface BackendHandle {
+  close(): void | Promise<void>;
+}
+
+export interface Backend {
+  /**
+   * Starts watching a root.
+   */
+  watch(path: string, context: BackendContext): BackendHandle;
+
+  capabilities?: {
+    /**
+     * Whether atomic writes show up as `unlink` and `add`, making `atomic` default to `true`.
+     */
+    atomic?: boolean;
+
+    polling?: boolean;
+  };
+
+  /**
+   * Whether the backend works in the current environment.
+   */
+  canUse?(): boolean;
+}
+
+/**
+ * Makes a watch implementation available to the `backend` option by name.
+ */
+export function registerBackend(name: string, backend: Backend): void;
+
 /**
  * produces an instance of `FSWatcher`.
  */
@@ -49,8 +49,15 @@ watcher.add(["new-file-2", "new-file-3", "**/other-file*"]);
 // Un-watch some files.
 watcher.unwatch("new-file*");
 
+// Iterate over events.
+async function logEvents() {
+  for await (const { event, path } of watcher.events({ highWaterMark: 100, overflow: "coalesce" })) {
+    log(event, path);
+  }
+}
+
 // Only needed if watching is `persistent: true`.
-watcher.close();
+watcher.close().then(() => log("Closed"));
 
 // One-liner
 chokidar